@@ -1,9 +1,10 @@
 import AuditLog from '../models/auditLogModel.js';
 import auditService from '../utils/auditService.js';
+import { resolveAuditAccess, redactAuditLog } from '../utils/auditAccess.js';
 
 // @desc    Get all audit logs
 // @route   GET /api/v1/audit/logs
-// @access  Admin
+// @access  Staff (audit:read)
 export const getAuditLogs = async (req, res, next) => {
   try {
     // Allow filtering by various parameters
@@ -43,18 +44,15 @@ export const getAuditLogs = async (req, res, next) => {
     const totalLogs = await AuditLog.countDocuments(filter);
     const totalPages = Math.ceil(totalLogs / limit);
 
-    // Verify log integrity
+    // Verify log integrity for the span of the chain covered by this page
     let integrityCheck = { valid: true, message: 'No logs to verify' };
     if (logs.length > 0) {
-      // Only check the first 100 logs for performance
-      const logsToCheck = Math.min(100, logs.length);
-      const firstLog = logs[logs.length - logsToCheck];
-      const lastLog = logs[0];
-      
-      integrityCheck = await auditService.verifyLogIntegrity(
-        firstLog.logId,
-        lastLog.logId
-      );
+      const sequences = logs.map(log => log.sequence);
+      const { valid, message, checkedEntries } = await auditService.verifyLogIntegrity({
+        fromSequence: Math.min(...sequences),
+        toSequence: Math.max(...sequences)
+      });
+      integrityCheck = { valid, message, checkedEntries };
     }
 
     res.status(200).json({
@@ -76,38 +74,56 @@ export const getAuditLogs = async (req, res, next) => {
   }
 };
 
-// @desc    Get audit logs for a consent
-// @route   GET /api/v1/audit/consents/:consentId
-// @access  Protected
-export const getConsentAudit = async (req, res, next) => {
+// @desc    Verify the audit log hash chain and report tampering
+// @route   GET /api/v1/audit/verify
+// @access  Staff (audit:verify)
+export const verifyAuditChain = async (req, res, next) => {
   try {
-    const { consentId } = req.params;
-    const { limit = 100, page = 1 } = req.query;
+    const {
+      fromSequence,
+      toSequence,
+      fromLogId,
+      toLogId,
+      startDate,
+      endDate
+    } = req.query;
 
-    // Calculate pagination
-    const skip = (page - 1) * limit;
+    const range = {};
+    if (fromSequence) range.fromSequence = parseInt(fromSequence);
+    if (toSequence) range.toSequence = parseInt(toSequence);
+    if (startDate) range.startDate = new Date(startDate);
+    if (endDate) range.endDate = new Date(endDate);
 
-    // Get logs with pagination
-    const logs = await AuditLog.find({ consentId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    if (
+      Number.isNaN(range.fromSequence) || Number.isNaN(range.toSequence) ||
+      (range.startDate && Number.isNaN(range.startDate.getTime())) ||
+      (range.endDate && Number.isNaN(range.endDate.getTime()))
+    ) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid sequence or date range'
+      });
+    }
 
-    // Count total logs for pagination
-    const totalLogs = await AuditLog.countDocuments({ consentId });
-    const totalPages = Math.ceil(totalLogs / limit);
+    // Log IDs are UUIDs, so translate them to chain positions before querying
+    for (const [logId, bound] of [[fromLogId, 'fromSequence'], [toLogId, 'toSequence']]) {
+      if (!logId) continue;
+      const log = await AuditLog.findOne({ logId }).select('sequence');
+      if (!log) {
+        return res.status(404).json({
+          status: 'error',
+          message: `No audit log found with ID ${logId}`
+        });
+      }
+      range[bound] = log.sequence;
+    }
+
+    const report = await auditService.verifyLogIntegrity(range);
 
     res.status(200).json({
       status: 'success',
-      results: logs.length,
-      pagination: {
-        totalLogs,
-        totalPages,
-        currentPage: parseInt(page),
-        limit: parseInt(limit)
-      },
       data: {
-        logs
+        report
       }
     });
   } catch (error) {
@@ -115,51 +131,84 @@ export const getConsentAudit = async (req, res, next) => {
   }
 };
 
+// Send one page of the audit logs matching a filter, redacted for non-audit staff
+const sendAuditPage = async (req, res, filter, redacted) => {
+  const { limit = 100, page = 1 } = req.query;
+
+  // Calculate pagination
+  const skip = (page - 1) * limit;
+
+  // Get logs with pagination
+  const logs = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  // Count total logs for pagination
+  const totalLogs = await AuditLog.countDocuments(filter);
+  const totalPages = Math.ceil(totalLogs / limit);
+
+  res.status(200).json({
+    status: 'success',
+    results: logs.length,
+    pagination: {
+      totalLogs,
+      totalPages,
+      currentPage: parseInt(page),
+      limit: parseInt(limit)
+    },
+    redacted,
+    data: {
+      logs: redacted ? logs.map(redactAuditLog) : logs
+    }
+  });
+};
+
+// Respond 403/404 unless the user may read this audit trail
+const checkAuditAccess = async (req, res, scope, id) => {
+  const access = await resolveAuditAccess(req.user, scope, id);
+
+  if (!access.found) {
+    res.status(404).json({ status: 'error', message: `No ${scope} found with that ID` });
+    return null;
+  }
+  if (!access.allowed) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You do not have permission to view these audit logs'
+    });
+    return null;
+  }
+  return access;
+};
+
+// @desc    Get audit logs for a consent
+// @route   GET /api/v1/audit/consents/:consentId
+// @access  Staff (audit:read), or the consent's customer or partner (redacted)
+export const getConsentAudit = async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+
+    const access = await checkAuditAccess(req, res, 'consent', consentId);
+    if (!access) return;
+
+    await sendAuditPage(req, res, { consentId }, access.redacted);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get audit logs for a customer
 // @route   GET /api/v1/audit/customers/:customerId
-// @access  Protected
+// @access  Staff (audit:read), or the customer themselves (redacted)
 export const getCustomerAudit = async (req, res, next) => {
   try {
     const { customerId } = req.params;
-    const { limit = 100, page = 1 } = req.query;
-
-    // Check if user has permission to view customer's audit logs
-    if (
-      req.user.role !== 'admin' && 
-      !(req.user.role === 'customer' && req.user.customerId === customerId)
-    ) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'You do not have permission to view these audit logs'
-      });
-    }
-
-    // Calculate pagination
-    const skip = (page - 1) * limit;
 
-    // Get logs with pagination
-    const logs = await AuditLog.find({ customerId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Count total logs for pagination
-    const totalLogs = await AuditLog.countDocuments({ customerId });
-    const totalPages = Math.ceil(totalLogs / limit);
+    const access = await checkAuditAccess(req, res, 'customer', customerId);
+    if (!access) return;
 
-    res.status(200).json({
-      status: 'success',
-      results: logs.length,
-      pagination: {
-        totalLogs,
-        totalPages,
-        currentPage: parseInt(page),
-        limit: parseInt(limit)
-      },
-      data: {
-        logs
-      }
-    });
+    await sendAuditPage(req, res, { customerId }, access.redacted);
   } catch (error) {
     next(error);
   }
@@ -167,47 +216,17 @@ export const getCustomerAudit = async (req, res, next) => {
 
 // @desc    Get audit logs for a partner
 // @route   GET /api/v1/audit/partners/:partnerId
-// @access  Protected
+// @route   GET /api/v1/partners/audit (partner API token; own logs)
+// @access  Staff (audit:read), or the partner itself (redacted)
 export const getPartnerAudit = async (req, res, next) => {
   try {
-    const { partnerId } = req.params;
-    const { limit = 100, page = 1 } = req.query;
+    // Partners calling with their API token read their own trail
+    const partnerId = req.params.partnerId || req.user.partnerId;
 
-    // Only admin can view partner audit logs through this endpoint
-    // Partners have their own separate authentication and endpoints if needed
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'You do not have permission to view these audit logs'
-      });
-    }
-
-    // Calculate pagination
-    const skip = (page - 1) * limit;
-
-    // Get logs with pagination
-    const logs = await AuditLog.find({ partnerId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Count total logs for pagination
-    const totalLogs = await AuditLog.countDocuments({ partnerId });
-    const totalPages = Math.ceil(totalLogs / limit);
+    const access = await checkAuditAccess(req, res, 'partner', partnerId);
+    if (!access) return;
 
-    res.status(200).json({
-      status: 'success',
-      results: logs.length,
-      pagination: {
-        totalLogs,
-        totalPages,
-        currentPage: parseInt(page),
-        limit: parseInt(limit)
-      },
-      data: {
-        logs
-      }
-    });
+    await sendAuditPage(req, res, { partnerId }, access.redacted);
   } catch (error) {
     next(error);
   }
@@ -1,28 +1,100 @@
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
 import auditService from '../utils/auditService.js';
+import tokenService from '../utils/tokenService.js';
+import sessionService from '../utils/sessionService.js';
+import mailService from '../utils/mailService.js';
+import twoFactorService from '../utils/twoFactorService.js';
+import loginThrottleService from '../utils/loginThrottleService.js';
+import { getRolePermissions } from '../utils/permissions.js';
 
-// Helper to create JWT token
-const sendTokenResponse = async (user, statusCode, res) => {
-  const accessToken = user.generateAccessToken();
-  const refreshToken = user.generateRefreshToken();
-
-  // Store refresh token (will be encrypted by pre-save hook)
-  user.refreshToken = refreshToken;
-  await user.save({ validateBeforeSave: false });
+// Helper to start a session and send its tokens
+const sendTokenResponse = async (user, statusCode, req, res, extraData = {}) => {
+  const { session, accessToken, refreshToken } = await sessionService.createSession(user, req);
 
   // Remove sensitive fields
   user.password = undefined;
-  user.refreshToken = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorBackupCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.passwordResetToken = undefined;
+  user.emailVerificationToken = undefined;
 
   res.status(statusCode).json({
     status: 'success',
     accessToken,
     refreshToken,
-    data: { user }
+    sessionId: session.sessionId,
+    data: { user, ...extraData }
+  });
+};
+
+// Helper to send tokens, or a two-factor challenge when the user needs a second step
+const sendLoginResponse = async (user, statusCode, req, res) => {
+  if (!user.twoFactorEnabled && !twoFactorService.isRequired(user)) {
+    return sendTokenResponse(user, statusCode, req, res);
+  }
+
+  res.status(statusCode).json({
+    status: 'success',
+    twoFactorRequired: true,
+    // Role requires 2FA but the user hasn't enrolled: set it up during this login
+    twoFactorSetupRequired: !user.twoFactorEnabled,
+    challengeToken: tokenService.issueChallengeToken(user)
   });
 };
 
+// Helper to email a fresh verification link (replaces any earlier token)
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyBaseUrl = process.env.EMAIL_VERIFICATION_URL ||
+    `${req.protocol}://${req.get('host')}/api/v1/auth/verify-email`;
+  const expiryHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS || '24');
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Verify your SecureShare email address',
+    text: `Welcome to SecureShare!\n\n` +
+      `Confirm your email address within ${expiryHours} hours by opening this link:\n` +
+      `${verifyBaseUrl}/${verificationToken}\n\n` +
+      `If you did not create an account, you can ignore this email.`
+  });
+};
+
+// Helper to reject an attempt on a throttled or locked account
+const sendThrottledResponse = (res, { locked, retryAfterSeconds }) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(locked ? 423 : 429).json({
+    status: 'error',
+    message: locked
+      ? `Account is temporarily locked after too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`
+      : `Too many failed login attempts. Try again in ${retryAfterSeconds} second(s)`
+  });
+};
+
+// Helper to record a successful login
+const recordLogin = async (user, req, actionDetails = {}) => {
+  user.lastLogin = Date.now();
+  loginThrottleService.resetFailures(user);
+  await user.save({ validateBeforeSave: false });
+
+  // Try to log the login event but continue even if it fails
+  try {
+    await auditService.logEvent({
+      eventType: 'user_login',
+      actorType: user.role,
+      actorId: user._id,
+      actionDetails: { email: user.email, ...actionDetails },
+      metadata: { ip: req.ip }
+    });
+  } catch (auditError) {
+    console.warn('Audit logging failed but continuing with login:', auditError.message);
+  }
+};
+
 // @desc    Login user
 // @route   POST /api/v1/auth/login
 // @access  Public
@@ -41,31 +113,156 @@ export const login = async (req, res, next) => {
     // Check if user exists && password is correct
     const user = await User.findOne({ email }).select('+password');
 
+    // Per-account throttling, checked before the password so locked accounts can't be probed
+    if (user) {
+      const attempt = await loginThrottleService.checkAttempt(user, req);
+      if (!attempt.allowed) {
+        return sendThrottledResponse(res, attempt);
+      }
+    }
+
     if (!user || !(await user.isPasswordCorrect(password))) {
+      if (user) await loginThrottleService.recordFailure(user, req, 'password');
       return res.status(401).json({
         status: 'error',
         message: 'Incorrect email or password'
       });
     }
 
+    // Only revealed once the password is known to be right
+    if (!user.active) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'This account has been deactivated'
+      });
+    }
+
+    // Second step required: tokens are only issued by /login/2fa
+    if (user.twoFactorEnabled || twoFactorService.isRequired(user)) {
+      return sendLoginResponse(user, 200, req, res);
+    }
+
     // If everything is ok, send tokens to client
-    user.lastLogin = Date.now();
-    await user.save({ validateBeforeSave: false });
+    await recordLogin(user, req);
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Try to log the login event but continue even if it fails
-    try {
+// Helper to resolve the user a two-factor challenge token was issued to
+const getChallengeUser = async (challengeToken) => {
+  const decoded = tokenService.verifyChallengeToken(challengeToken);
+
+  const user = await User.findById(decoded.sub)
+    .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+  if (!user || !user.active || user.changedPasswordAfter(decoded.iat)) {
+    const error = new Error('Login challenge is no longer valid. Please log in again');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  return user;
+};
+
+// @desc    Complete login with a TOTP or backup code
+// @route   POST /api/v1/auth/login/2fa
+// @access  Public (challenge token)
+export const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the challenge token and a code or backup code'
+      });
+    }
+
+    const user = await getChallengeUser(challengeToken);
+
+    const attempt = await loginThrottleService.checkAttempt(user, req);
+    if (!attempt.allowed) {
+      return sendThrottledResponse(res, attempt);
+    }
+
+    // Mandatory enrolment: the first valid code confirms the new secret
+    if (!user.twoFactorEnabled) {
+      const backupCodes = await twoFactorService.completeEnrolment(user, code);
+      if (!backupCodes) {
+        await loginThrottleService.recordFailure(user, req, 'two_factor');
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      await auditService.logEvent({
+        eventType: 'two_factor_enabled',
+        actorType: user.role,
+        actorId: user._id,
+        actionDetails: { duringLogin: true },
+        metadata: { ip: req.ip }
+      }).catch(err => console.error('Error logging 2FA enrolment:', err));
+
+      await recordLogin(user, req, { twoFactorMethod: 'totp' });
+      return sendTokenResponse(user, 200, req, res, { backupCodes });
+    }
+
+    const method = await twoFactorService.verify(user, { code, backupCode });
+    if (!method) {
       await auditService.logEvent({
-        eventType: 'user_login',
+        eventType: 'two_factor_failed',
         actorType: user.role,
         actorId: user._id,
-        actionDetails: { email: user.email },
+        actionDetails: { method: backupCode ? 'backup_code' : 'totp' },
         metadata: { ip: req.ip }
+      }).catch(err => console.error('Error logging 2FA failure:', err));
+      await loginThrottleService.recordFailure(user, req, 'two_factor');
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid two-factor code'
       });
-    } catch (auditError) {
-      console.warn('Audit logging failed but continuing with login:', auditError.message);
     }
 
-    await sendTokenResponse(user, 200, res);
+    await recordLogin(user, req, { twoFactorMethod: method });
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start mandatory two-factor enrolment during login
+// @route   POST /api/v1/auth/login/2fa/setup
+// @access  Public (challenge token)
+export const setupLoginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken } = req.body;
+
+    if (!challengeToken) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the challenge token'
+      });
+    }
+
+    const user = await getChallengeUser(challengeToken);
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Two-factor authentication is already set up for this account'
+      });
+    }
+
+    const { secret, otpauthUrl } = await twoFactorService.startEnrolment(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code in your authenticator app, then complete login with a code',
+      data: { secret, otpauthUrl }
+    });
   } catch (error) {
     next(error);
   }
@@ -76,8 +273,28 @@ export const login = async (req, res, next) => {
 // @access  Public
 export const signup = async (req, res, next) => {
   try {
-    // For security, only create regular users from public signup
-    // Admin creation would be a separate process
+    // Public signup only ever creates customers; other roles come from an admin invitation
+    const privilegedFields = ['role', 'partnerId', 'customerId', 'active', 'emailVerified']
+      .filter(field => req.body[field] !== undefined);
+    if (privilegedFields.length > 0 && !(privilegedFields.length === 1 && req.body.role === 'customer')) {
+      await auditService.logEvent({
+        eventType: 'signup_privilege_escalation_blocked',
+        actorType: 'system',
+        actorId: 'system',
+        actionDetails: {
+          email: req.body.email,
+          fields: privilegedFields,
+          requestedRole: req.body.role
+        },
+        metadata: { ip: req.ip, userAgent: req.get('user-agent') }
+      }).catch(err => console.error('Error logging blocked signup:', err));
+
+      return res.status(403).json({
+        status: 'error',
+        message: `These fields cannot be set at signup: ${privilegedFields.join(', ')}`
+      });
+    }
+
     const newUser = await User.create({
       username: req.body.username,
       email: req.body.email,
@@ -98,7 +315,15 @@ export const signup = async (req, res, next) => {
       console.warn('Audit logging failed but continuing with signup:', auditError.message);
     }
 
-    await sendTokenResponse(newUser, 201, res);
+    // The account works straight away, but consents and the customer profile
+    // stay blocked until the email is verified; a failed send can be retried via resend
+    try {
+      await sendVerificationEmail(newUser, req);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    await sendLoginResponse(newUser, 201, req, res);
   } catch (error) {
     next(error);
   }
@@ -106,12 +331,11 @@ export const signup = async (req, res, next) => {
 
 // @desc    Logout user
 // @route   POST /api/v1/auth/logout
-// @access  Public
+// @access  Protected
 export const logout = async (req, res, next) => {
   try {
-    // Clear the refresh token
-    req.user.refreshToken = undefined;
-    await req.user.save({ validateBeforeSave: false });
+    // Revoke the session (refresh token family) this access token belongs to
+    await sessionService.revokeSession(req.sessionId, 'logout');
 
     res.status(200).json({ status: 'success' });
   } catch (error) {
@@ -119,52 +343,241 @@ export const logout = async (req, res, next) => {
   }
 };
 
-// @desc    Refresh token
-// @route   POST /api/v1/auth/refresh-token
+// @desc    Send a password reset link
+// @route   POST /api/v1/auth/forgot-password
 // @access  Public
-export const refreshToken = async (req, res, next) => {
+export const forgotPassword = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const { email } = req.body;
 
-    if (!refreshToken) {
+    if (!email) {
       return res.status(400).json({
         status: 'error',
-        message: 'Please provide a refresh token'
+        message: 'Please provide an email address'
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const response = {
+      status: 'success',
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (!user || !user.active) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetBaseUrl = process.env.PASSWORD_RESET_URL ||
+      `${req.protocol}://${req.get('host')}/api/v1/auth/reset-password`;
+    const expiryMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES || '30');
+
+    try {
+      await mailService.sendMail({
+        to: user.email,
+        subject: 'Reset your SecureShare password',
+        text: `We received a request to reset your password.\n\n` +
+          `Use this link within ${expiryMinutes} minutes to choose a new password:\n` +
+          `${resetBaseUrl}/${resetToken}\n\n` +
+          `If you did not request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind that the user never received
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false })
+        .catch(err => console.error('Error clearing password reset token:', err));
+
+      // Answer as for an unknown email; an error here would reveal that the account exists
+      console.error('Error sending password reset email:', mailError);
+      return res.status(200).json(response);
+    }
 
-    // Find user
-    const user = await User.findById(decoded._id).select('+refreshToken');
+    await auditService.logEvent({
+      eventType: 'password_reset_requested',
+      actorType: user.role,
+      actorId: user._id,
+      actionDetails: { email: user.email },
+      metadata: { ip: req.ip }
+    }).catch(err => console.error('Error logging password reset request:', err));
+
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   PATCH /api/v1/auth/reset-password/:token
+// @access  Public
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a new password of at least 8 characters'
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      { passwordResetToken: hashedToken, passwordResetExpires: { $gt: Date.now() } },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
 
     if (!user) {
-      return res.status(401).json({
+      return res.status(400).json({
         status: 'error',
-        message: 'The user belonging to this token no longer exists'
+        message: 'Password reset token is invalid or has expired'
       });
     }
 
-    // Check if stored refresh token matches (decrypt stored one)
-    const storedRefreshToken = await user.getDecryptedRefreshToken();
-    if (storedRefreshToken !== refreshToken) {
-      return res.status(401).json({
+    // Saving sets passwordChangedAt, which invalidates previously issued tokens.
+    // The token arrived by email, so this also proves the address (and accepts invitations)
+    user.password = password;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+    }
+    await user.save();
+
+    // Log out every existing session; the response below starts a fresh one
+    await sessionService.revokeAllSessions(user._id, 'password_reset');
+
+    await auditService.logEvent({
+      eventType: 'password_reset',
+      actorType: user.role,
+      actorId: user._id,
+      actionDetails: { email: user.email },
+      metadata: { ip: req.ip }
+    }).catch(err => console.error('Error logging password reset:', err));
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Your SecureShare password was changed',
+      text: 'Your password was just reset and all other sessions were logged out.\n\n' +
+        'If you did not do this, contact support immediately.'
+    }).catch(err => console.error('Error sending password change confirmation:', err));
+
+    await sendLoginResponse(user, 200, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address with a verification token
+// @route   GET /api/v1/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      { emailVerificationToken: hashedToken, emailVerificationExpires: { $gt: Date.now() } },
+      {
+        emailVerified: true,
+        emailVerifiedAt: Date.now(),
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Invalid refresh token'
+        message: 'Verification link is invalid or has expired. Please request a new one'
       });
     }
 
-    // Check if user changed password after the token was issued
-    if (user.changedPasswordAfter(decoded.iat)) {
-      return res.status(401).json({
+    await auditService.logEvent({
+      eventType: 'email_verified',
+      actorType: user.role,
+      actorId: user._id,
+      actionDetails: { email: user.email },
+      metadata: { ip: req.ip }
+    }).catch(err => console.error('Error logging email verification:', err));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/v1/auth/resend-verification
+// @access  Protected
+export const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
         status: 'error',
-        message: 'User recently changed password. Please log in again'
+        message: 'Email address is already verified'
       });
     }
 
-    // Generate new tokens
-    await sendTokenResponse(user, 200, res);
+    // Don't let the endpoint be used to flood an inbox
+    const cooldownMs = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || '60') * 1000;
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < cooldownMs) {
+      const retryAfterSeconds = Math.ceil(
+        (user.emailVerificationSentAt.getTime() + cooldownMs - Date.now()) / 1000
+      );
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        status: 'error',
+        message: `Please wait ${retryAfterSeconds} second(s) before requesting another email`
+      });
+    }
+
+    await sendVerificationEmail(user, req);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Refresh token
+// @route   POST /api/v1/auth/refresh-token
+// @access  Public
+export const refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    // Rotate the token family; a reused token revokes the whole family
+    const { user, session, accessToken, refreshToken: newRefreshToken } =
+      await sessionService.rotateSession(refreshToken, req);
+
+    res.status(200).json({
+      status: 'success',
+      accessToken,
+      refreshToken: newRefreshToken,
+      sessionId: session.sessionId,
+      data: { user }
+    });
   } catch (error) {
     next(error);
   }
@@ -185,10 +598,10 @@ export const verifyToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
 
     // Check if user still exists
-    const user = await User.findById(decoded.id);
+    const user = await User.findById(decoded.sub);
     if (!user) {
       return res.status(401).json({
         status: 'error',
@@ -196,6 +609,23 @@ export const verifyToken = async (req, res, next) => {
       });
     }
 
+    // Check if user changed password after the token was issued
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'User recently changed password. Please log in again'
+      });
+    }
+
+    // Check the session has not been logged out or revoked
+    const session = await Session.exists({ sessionId: decoded.sid, status: 'active' });
+    if (!session) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'This session has been logged out. Please log in again'
+      });
+    }
+
     // If everything is ok, send response
     res.status(200).json({
       status: 'success',
@@ -203,7 +633,8 @@ export const verifyToken = async (req, res, next) => {
         user: {
           id: user._id,
           email: user.email,
-          role: user.role
+          role: user.role,
+          permissions: getRolePermissions(user.role)
         }
       }
     });
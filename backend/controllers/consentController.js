@@ -1,12 +1,24 @@
 import Consent from '../models/consentModel.js';
 import Customer from '../models/customerModel.js';
 import Partner from '../models/partnerModel.js';
+import ConsentVersion from '../models/consentVersionModel.js';
 import auditService from '../utils/auditService.js';
+import consentVersionService from '../utils/consentVersionService.js';
+import consentExpiryService from '../utils/consentExpiryService.js';
+import { assertAmendment, assertTransition, getSourceStatuses } from '../utils/consentStateMachine.js';
 import notificationService from '../utils/notificationService.js';
+import { hasPermission } from '../utils/permissions.js';
+
+// Create an error response
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
 
 // @desc    Get all consents
 // @route   GET /api/v1/consents
-// @access  Admin
+// @access  Staff (consents:read)
 export const getAllConsents = async (req, res, next) => {
   try {
     const consents = await Consent.find();
@@ -39,7 +51,7 @@ export const getConsent = async (req, res, next) => {
 
     // Check if user has permission to view this consent
     if (
-      req.user.role !== 'admin' && 
+      !hasPermission(req.user, 'consents:read') &&
       !(req.user.role === 'customer' && req.user.customerId === consent.customerId)
     ) {
       return res.status(403).json({
@@ -88,6 +100,17 @@ export const createConsent = async (req, res, next) => {
       });
     }
 
+    // Customers can only consent for themselves; staff need consents:manage
+    if (
+      !hasPermission(req.user, 'consents:manage') &&
+      !(req.user.role === 'customer' && req.user.customerId === customerId)
+    ) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to create consents for this customer'
+      });
+    }
+
     // Check if customer exists
     const customer = await Customer.findById(customerId);
     if (!customer) {
@@ -135,7 +158,7 @@ export const createConsent = async (req, res, next) => {
     // Calculate expiry date using the consentDuration (in milliseconds)
     const expiresAt = new Date(Date.now() + consentDuration);
 
-    const newConsent = await Consent.create({
+    const newConsent = await consentVersionService.createConsent({
       consentDuration,
       customerId,
       partnerId,
@@ -150,6 +173,9 @@ export const createConsent = async (req, res, next) => {
       withdrawalMethod,
       contractText,
       contractId // Store the contract ID with the consent
+    }, {
+      user: req.user,
+      reason: req.body.reason
     });
 
     // Log consent creation
@@ -215,15 +241,35 @@ export const updateConsent = async (req, res, next) => {
       purpose,
       retentionPeriod,
       consentDuration,
-      status
+      status,
+      reason
     } = req.body;
 
+    const consent = await Consent.findOne({ consentId: req.params.consentId });
+
+    if (!consent) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No consent found with that ID'
+      });
+    }
+
+    // Check if user has permission to update this consent
+    if (
+      !hasPermission(req.user, 'consents:manage') &&
+      !(req.user.role === 'customer' && req.user.customerId === consent.customerId)
+    ) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to update this consent'
+      });
+    }
+
     const updateData = {};
 
     // Only update the fields that were provided
     if (allowedDataFields) updateData.allowedDataFields = allowedDataFields;
     if (purpose) updateData.purpose = purpose;
-    if (status) updateData.status = status;
     
     // Handle consentDuration update if provided
     if (consentDuration) {
@@ -242,49 +288,43 @@ export const updateConsent = async (req, res, next) => {
       updateData.expiresAt = new Date(Date.now() + consentDuration);
     }
     
-    if (retentionPeriod) {
-      updateData.retentionPeriod = retentionPeriod;
-      
-      // Recalculate expiry date if retention period changes
-      const consent = await Consent.findOne({ consentId: req.params.consentId });
-      if (consent) {
-        const createdDate = new Date(consent.createdAt);
-        const expiresAt = new Date(createdDate);
-        expiresAt.setDate(expiresAt.getDate() + retentionPeriod);
-        updateData.expiresAt = expiresAt;
-      }
-    }
+    // How long the partner may keep shared data; separate from the consent term (consentDuration)
+    if (retentionPeriod) updateData.retentionPeriod = retentionPeriod;
 
-    // Set the updated timestamp
-    updateData.updatedAt = Date.now();
+    // Terms may only be narrowed; checked before anything is written
+    if (Object.keys(updateData).length > 0) {
+      assertAmendment(consent, updateData);
+    }
 
-    const updatedConsent = await Consent.findOneAndUpdate(
-      { consentId: req.params.consentId },
-      updateData,
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    // The only status change allowed here is revocation; renewal and acceptance have their own endpoints
+    if (status) {
+      assertTransition(consent.status, status, 'revoke');
+      updateData.status = status;
+    }
 
-    if (!updatedConsent) {
-      return res.status(404).json({
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
         status: 'error',
-        message: 'No consent found with that ID'
+        message: 'No consent fields to update'
       });
     }
 
-    // Check if user has permission to update this consent
-    if (
-      req.user.role !== 'admin' && 
-      !(req.user.role === 'customer' && req.user.customerId === updatedConsent.customerId)
-    ) {
-      return res.status(403).json({
+    // Only applies if nobody else changed the consent since it was read
+    const result = await consentVersionService.applyChange(consent, updateData, {
+      changeType: status ? 'revoked' : 'amended',
+      user: req.user,
+      reason
+    });
+
+    if (!result) {
+      return res.status(409).json({
         status: 'error',
-        message: 'You do not have permission to update this consent'
+        message: 'This consent was changed by another request. Please reload it and try again'
       });
     }
 
+    const { consent: updatedConsent, version } = result;
+
     // Log consent update
     await auditService.logEvent({
       eventType: 'consent_updated',
@@ -295,7 +335,10 @@ export const updateConsent = async (req, res, next) => {
       partnerId: updatedConsent.partnerId,
       actionDetails: { 
         consentId: updatedConsent.consentId,
-        updatedFields: Object.keys(req.body)
+        updatedFields: Object.keys(updateData),
+        version: version.version,
+        changes: version.changes,
+        reason: reason || 'Not specified'
       },
       metadata: { ip: req.ip }
     });
@@ -316,7 +359,8 @@ export const updateConsent = async (req, res, next) => {
           status: updatedConsent.status,
           expiresAt: updatedConsent.expiresAt,
           updatedAt: updatedConsent.updatedAt,
-          updatedFields: Object.keys(req.body)
+          updatedFields: Object.keys(updateData),
+          version: updatedConsent.version
         },
         user: req.user
       }).catch(error => {
@@ -327,7 +371,8 @@ export const updateConsent = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        consent: updatedConsent
+        consent: updatedConsent,
+        version
       }
     });
   } catch (error) {
@@ -351,7 +396,7 @@ export const revokeConsent = async (req, res, next) => {
 
     // Check if user has permission to revoke this consent
     if (
-      req.user.role !== 'admin' && 
+      !hasPermission(req.user, 'consents:manage') &&
       !(req.user.role === 'customer' && req.user.customerId === consent.customerId)
     ) {
       return res.status(403).json({
@@ -360,51 +405,594 @@ export const revokeConsent = async (req, res, next) => {
       });
     }
 
+    assertTransition(consent.status, 'revoked', 'revoke');
+
     // Update consent status to revoked
-    consent.status = 'revoked';
-    consent.updatedAt = Date.now();
-    await consent.save();
+    const result = await consentVersionService.applyChange(consent, { status: 'revoked' }, {
+      changeType: 'revoked',
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This consent was changed by another request. Please reload it and try again'
+      });
+    }
+
+    const { consent: revokedConsent, version } = result;
 
     // Log consent revocation
     await auditService.logEvent({
       eventType: 'consent_revoked',
       actorType: req.user.role,
       actorId: req.user._id,
-      consentId: consent.consentId,
-      customerId: consent.customerId,
-      partnerId: consent.partnerId,
+      consentId: revokedConsent.consentId,
+      customerId: revokedConsent.customerId,
+      partnerId: revokedConsent.partnerId,
       actionDetails: { 
-        consentId: consent.consentId,
-        reason: req.body.reason || 'Not specified'
+        consentId: revokedConsent.consentId,
+        reason: req.body.reason || 'Not specified',
+        version: version.version
       },
       metadata: { ip: req.ip }
     });
 
     // Notify partner about consent revocation
-    const partner = await Partner.findOne({ partnerId: consent.partnerId });
+    const partner = await Partner.findOne({ partnerId: revokedConsent.partnerId });
     if (partner && partner.callbackUrl && partner.status === 'active') {
       // Don't await - non-blocking notification
       notificationService.notifyPartner({
-        partnerId: consent.partnerId,
+        partnerId: revokedConsent.partnerId,
         callbackUrl: partner.callbackUrl,
         eventType: 'consent_revoked',
         data: {
-          consentId: consent.consentId,
-          customerId: consent.customerId,
+          consentId: revokedConsent.consentId,
+          customerId: revokedConsent.customerId,
           status: 'revoked',
           reason: req.body.reason || 'Not specified',
           revokedAt: new Date().toISOString()
         },
         user: req.user
       }).catch(error => {
-        console.error(`Failed to notify partner ${consent.partnerId} about revocation:`, error);
+        console.error(`Failed to notify partner ${revokedConsent.partnerId} about revocation:`, error);
       });
     }
 
     res.status(200).json({
       status: 'success',
       data: {
-        consent
+        consent: revokedConsent,
+        version
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Consent terms without the full contract text, which the version history already keeps
+const getAuditTerms = ({ contractText, ...terms }) => terms;
+
+// @desc    Renew a consent for a new term under the partner's current contract
+// @route   POST /api/v1/consents/:consentId/renew
+// @access  Protected (consent owner, or staff with consents:manage)
+export const renewConsent = async (req, res, next) => {
+  try {
+    const consent = await Consent.findOne({ consentId: req.params.consentId });
+
+    if (!consent) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No consent found with that ID'
+      });
+    }
+
+    // Check if user has permission to renew this consent
+    if (
+      !hasPermission(req.user, 'consents:manage') &&
+      !(req.user.role === 'customer' && req.user.customerId === consent.customerId)
+    ) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to renew this consent'
+      });
+    }
+
+    assertTransition(consent.status, 'active', 'renew');
+
+    // Defaults to the current term's length
+    const consentDuration = req.body.consentDuration ?? consent.consentDuration;
+    if (!Number.isInteger(consentDuration) || consentDuration <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'consentDuration must be a positive whole number of milliseconds'
+      });
+    }
+    const minDuration = parseInt(process.env.MIN_CONSENT_DURATION_MS);
+    if (consentDuration < minDuration) {
+      const minHours = minDuration / (60 * 60 * 1000);
+      return res.status(400).json({
+        status: 'error',
+        message: `Consent duration must be at least ${minHours} hour(s)`
+      });
+    }
+
+    // The new term is granted against the contract the partner holds today
+    const partner = await Partner.findOne({ partnerId: consent.partnerId });
+    if (!partner || partner.status !== 'active' || !partner.approvedContract || !partner.contractData) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This partner does not currently have an active approved contract'
+      });
+    }
+
+    const previousTerms = getAuditTerms(consentVersionService.getTerms(consent));
+    const {
+      allowedDataFields: contractFields,
+      purpose,
+      retentionPeriod,
+      legalBasis,
+      contractText,
+      contractId
+    } = partner.contractData;
+
+    // Renewal never gives back fields the customer removed: keep the consented fields the
+    // contract still covers, unless the caller explicitly chooses the fields for the new term
+    let allowedDataFields;
+    if (req.body.allowedDataFields !== undefined) {
+      allowedDataFields = req.body.allowedDataFields;
+      if (
+        !Array.isArray(allowedDataFields) || allowedDataFields.length === 0 ||
+        !allowedDataFields.every(field => typeof field === 'string')
+      ) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'allowedDataFields must be a non-empty array of field names'
+        });
+      }
+      const invalidFields = allowedDataFields.filter(field => !contractFields.includes(field));
+      if (invalidFields.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Fields not covered by the partner's contract: ${invalidFields.join(', ')}`
+        });
+      }
+    } else {
+      allowedDataFields = consent.allowedDataFields.filter(field => contractFields.includes(field));
+      if (allowedDataFields.length === 0) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'The partner\'s contract no longer covers any of the consented fields. Choose allowedDataFields for the new term'
+        });
+      }
+    }
+
+    const result = await consentVersionService.applyChange(
+      consent,
+      {
+        allowedDataFields,
+        purpose,
+        retentionPeriod,
+        legalBasis,
+        contractText,
+        contractId,
+        consentDuration,
+        expiresAt: new Date(Date.now() + consentDuration),
+        status: 'active',
+        expiryRemindersSent: [],
+        $inc: { renewalCount: 1 },
+        lastRenewedAt: new Date()
+      },
+      {
+        changeType: 'renewed',
+        user: req.user,
+        reason: req.body.reason,
+        filter: { status: { $in: getSourceStatuses('renew') } }
+      }
+    );
+
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This consent was changed by another request. Please reload it and try again'
+      });
+    }
+
+    const { consent: renewedConsent, version } = result;
+    const newTerms = getAuditTerms(version.terms);
+
+    // Log the renewal with both sets of terms so the change can be traced
+    await auditService.logEvent({
+      eventType: 'consent_renewed',
+      actorType: req.user.role,
+      actorId: req.user._id,
+      consentId: renewedConsent.consentId,
+      customerId: renewedConsent.customerId,
+      partnerId: renewedConsent.partnerId,
+      actionDetails: {
+        consentId: renewedConsent.consentId,
+        renewalCount: renewedConsent.renewalCount,
+        version: version.version,
+        previousTerms,
+        newTerms,
+        contractChanged: previousTerms.contractId !== newTerms.contractId,
+        addedFields: newTerms.allowedDataFields.filter(field => !previousTerms.allowedDataFields.includes(field)),
+        removedFields: previousTerms.allowedDataFields.filter(field => !newTerms.allowedDataFields.includes(field))
+      },
+      metadata: { ip: req.ip }
+    });
+
+    // Notify partner about the renewal
+    if (partner.callbackUrl) {
+      // Don't await - non-blocking notification
+      notificationService.notifyPartner({
+        partnerId: renewedConsent.partnerId,
+        callbackUrl: partner.callbackUrl,
+        eventType: 'consent_renewed',
+        data: {
+          consentId: renewedConsent.consentId,
+          customerId: renewedConsent.customerId,
+          allowedDataFields: renewedConsent.allowedDataFields,
+          purpose: renewedConsent.purpose,
+          contractId: renewedConsent.contractId,
+          status: renewedConsent.status,
+          consentDuration: renewedConsent.consentDuration,
+          expiresAt: renewedConsent.expiresAt
+        },
+        user: req.user
+      }).catch(error => {
+        console.error(`Failed to notify partner ${renewedConsent.partnerId} about renewal:`, error);
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        consent: renewedConsent,
+        previousTerms,
+        version
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the version history of a consent
+// @route   GET /api/v1/consents/:consentId/versions
+// @access  Protected
+export const getConsentVersions = async (req, res, next) => {
+  try {
+    const consent = await Consent.findOne({ consentId: req.params.consentId });
+
+    if (!consent) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No consent found with that ID'
+      });
+    }
+
+    // Same access as viewing the consent itself
+    if (
+      !hasPermission(req.user, 'consents:read') &&
+      !(req.user.role === 'customer' && req.user.customerId === consent.customerId)
+    ) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view this consent'
+      });
+    }
+
+    const versions = await consentVersionService.getHistory(consent.consentId);
+
+    res.status(200).json({
+      status: 'success',
+      results: versions.length,
+      data: {
+        currentVersion: consent.version,
+        versions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single version of a consent
+// @route   GET /api/v1/consents/:consentId/versions/:version
+// @access  Protected
+export const getConsentVersion = async (req, res, next) => {
+  try {
+    const consent = await Consent.findOne({ consentId: req.params.consentId });
+
+    if (!consent) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No consent found with that ID'
+      });
+    }
+
+    if (
+      !hasPermission(req.user, 'consents:read') &&
+      !(req.user.role === 'customer' && req.user.customerId === consent.customerId)
+    ) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to view this consent'
+      });
+    }
+
+    const versionNumber = parseInt(req.params.version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const version = await ConsentVersion.findOne({
+      consentId: consent.consentId,
+      version: versionNumber
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No version found with that number for this consent'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        version
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load one of the signed-in customer's partner consent requests, lapsing it if it is overdue
+const findMyConsentRequest = async (req) => {
+  // Without this an undefined customerId would be dropped from the filter and match anyone's request
+  if (!req.user.customerId) {
+    throw createError(404, 'You have not created a customer profile yet');
+  }
+
+  const consent = await Consent.findOne({
+    consentId: req.params.consentId,
+    customerId: req.user.customerId,
+    initiatedBy: 'partner'
+  });
+  if (!consent) {
+    throw createError(404, 'No consent request found with that ID');
+  }
+
+  if (consent.status === 'pending' && consent.requestExpiresAt <= new Date()) {
+    // Don't wait for the next scheduled sweep
+    await consentExpiryService.expireConsent(consent, { trigger: 'consent_request' });
+    throw createError(409, 'This consent request has expired');
+  }
+
+  return consent;
+};
+
+// @desc    Get the signed-in customer's open consent requests from partners
+// @route   GET /api/v1/customers/my-profile/consent-requests
+// @access  Customer (profile:manage_own)
+export const getMyConsentRequests = async (req, res, next) => {
+  try {
+    const { customerId } = req.user;
+
+    if (!customerId) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You have not created a customer profile yet'
+      });
+    }
+
+    const requests = await Consent.find({
+      customerId,
+      initiatedBy: 'partner',
+      status: 'pending',
+      requestExpiresAt: { $gt: new Date() }
+    })
+      .select('-contractText')
+      .sort({ createdAt: -1 });
+
+    const partners = await Partner.find({ partnerId: { $in: [...new Set(requests.map(request => request.partnerId))] } })
+      .select('partnerId partnerName');
+    const partnerNames = new Map(partners.map(partner => [partner.partnerId, partner.partnerName]));
+
+    res.status(200).json({
+      status: 'success',
+      results: requests.length,
+      data: {
+        requests: requests.map(request => ({
+          ...request.toObject(),
+          partnerName: partnerNames.get(request.partnerId) || null
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept a partner's consent request, optionally sharing fewer fields
+// @route   POST /api/v1/customers/my-profile/consent-requests/:consentId/accept
+// @access  Customer (profile:manage_own)
+export const acceptConsentRequest = async (req, res, next) => {
+  try {
+    const { allowedDataFields, reason } = req.body;
+    const consent = await findMyConsentRequest(req);
+
+    assertTransition(consent.status, 'active', 'accept');
+
+    const update = {
+      status: 'active',
+      // The term runs from acceptance
+      expiresAt: new Date(Date.now() + consent.consentDuration),
+      respondedAt: new Date(),
+      consentMethod: req.body.consentMethod || 'app',
+      deviceFingerprint: req.body.deviceFingerprint,
+      ipAddressHash: req.body.ipAddressHash || req.ip,
+      withdrawalMethod: req.body.withdrawalMethod || 'app'
+    };
+    if (allowedDataFields) {
+      assertAmendment(consent, { allowedDataFields });
+      update.allowedDataFields = allowedDataFields;
+    }
+
+    // The request only stands while the partner still holds the contract it was made under
+    const partner = await Partner.findOne({ partnerId: consent.partnerId });
+    if (
+      !partner || partner.status !== 'active' || !partner.approvedContract ||
+      partner.contractData?.contractId !== consent.contractId
+    ) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The partner\'s contract has changed since this request was made. Ask the partner to send a new request'
+      });
+    }
+
+    const result = await consentVersionService.applyChange(consent, update, {
+      changeType: 'accepted',
+      user: req.user,
+      reason
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This consent request was changed by another request. Please reload it and try again'
+      });
+    }
+
+    const { consent: acceptedConsent, version } = result;
+    const removedFields = consent.allowedDataFields.filter(field => !acceptedConsent.allowedDataFields.includes(field));
+
+    await auditService.logEvent({
+      eventType: 'consent_request_accepted',
+      actorType: req.user.role,
+      actorId: req.user._id,
+      consentId: acceptedConsent.consentId,
+      customerId: acceptedConsent.customerId,
+      partnerId: acceptedConsent.partnerId,
+      actionDetails: {
+        consentId: acceptedConsent.consentId,
+        allowedDataFields: acceptedConsent.allowedDataFields,
+        removedFields,
+        expiresAt: acceptedConsent.expiresAt,
+        version: version.version
+      },
+      metadata: { ip: req.ip }
+    });
+
+    // Notify partner about the accepted request
+    if (partner.callbackUrl) {
+      // Don't await - non-blocking notification
+      notificationService.notifyPartner({
+        partnerId: acceptedConsent.partnerId,
+        callbackUrl: partner.callbackUrl,
+        eventType: 'consent_request_accepted',
+        data: {
+          consentId: acceptedConsent.consentId,
+          customerId: acceptedConsent.customerId,
+          allowedDataFields: acceptedConsent.allowedDataFields,
+          removedFields,
+          purpose: acceptedConsent.purpose,
+          status: acceptedConsent.status,
+          consentDuration: acceptedConsent.consentDuration,
+          expiresAt: acceptedConsent.expiresAt
+        },
+        user: req.user
+      }).catch(error => {
+        console.error(`Failed to notify partner ${acceptedConsent.partnerId} about accepted request:`, error);
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        consent: acceptedConsent,
+        version
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Decline a partner's consent request
+// @route   POST /api/v1/customers/my-profile/consent-requests/:consentId/decline
+// @access  Customer (profile:manage_own)
+export const declineConsentRequest = async (req, res, next) => {
+  try {
+    const consent = await findMyConsentRequest(req);
+
+    assertTransition(consent.status, 'declined', 'decline');
+
+    const result = await consentVersionService.applyChange(
+      consent,
+      { status: 'declined', respondedAt: new Date() },
+      { changeType: 'declined', user: req.user, reason: req.body.reason }
+    );
+
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This consent request was changed by another request. Please reload it and try again'
+      });
+    }
+
+    const { consent: declinedConsent, version } = result;
+
+    await auditService.logEvent({
+      eventType: 'consent_request_declined',
+      actorType: req.user.role,
+      actorId: req.user._id,
+      consentId: declinedConsent.consentId,
+      customerId: declinedConsent.customerId,
+      partnerId: declinedConsent.partnerId,
+      // The customer's reason is kept in the consent version only: partners can read
+      // audit entries carrying their partnerId
+      actionDetails: {
+        consentId: declinedConsent.consentId,
+        reasonGiven: Boolean(req.body.reason),
+        version: version.version
+      },
+      metadata: { ip: req.ip }
+    });
+
+    // Notify partner about the declined request; the customer's reason stays with the bank
+    const partner = await Partner.findOne({ partnerId: declinedConsent.partnerId });
+    if (partner && partner.callbackUrl && partner.status === 'active') {
+      // Don't await - non-blocking notification
+      notificationService.notifyPartner({
+        partnerId: declinedConsent.partnerId,
+        callbackUrl: partner.callbackUrl,
+        eventType: 'consent_request_declined',
+        data: {
+          consentId: declinedConsent.consentId,
+          customerId: declinedConsent.customerId,
+          status: 'declined',
+          declinedAt: declinedConsent.respondedAt
+        },
+        user: req.user
+      }).catch(error => {
+        console.error(`Failed to notify partner ${declinedConsent.partnerId} about declined request:`, error);
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        consent: declinedConsent,
+        version
       }
     });
   } catch (error) {
@@ -421,7 +1009,7 @@ export const getCustomerConsents = async (req, res, next) => {
 
     // Check if user has permission to view customer's consents
     if (
-      req.user.role !== 'admin' && 
+      !hasPermission(req.user, 'consents:read') &&
       !(req.user.role === 'customer' && req.user.customerId === customerId)
     ) {
       return res.status(403).json({
@@ -452,9 +1040,9 @@ export const getPartnerConsents = async (req, res, next) => {
     const partnerId = req.params.partnerId;
 
     // Check if user has permission to view partner's consents
-    // Only admin can view partner consents through this endpoint
+    // Only staff can view partner consents through this endpoint
     // Partners use their own separate authentication and endpoints
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'consents:read')) {
       return res.status(403).json({
         status: 'error',
         message: 'You do not have permission to view these consents'
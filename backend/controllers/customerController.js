@@ -2,6 +2,20 @@ import Customer from '../models/customerModel.js';
 import encryptionService from '../utils/encryptionService.js';
 import auditService from '../utils/auditService.js';
 import User from '../models/userModel.js';
+import Consent from '../models/consentModel.js';
+import Partner from '../models/partnerModel.js';
+import DataRequest from '../models/dataRequestModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import CustomerNotification from '../models/customerNotificationModel.js';
+import pendingActionService from '../utils/pendingActionService.js';
+import { hasPermission } from '../utils/permissions.js';
+
+// Create an error response
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
 
 // Helper function to decrypt customer data
 const decryptCustomerData = async (customer) => {
@@ -67,9 +81,26 @@ const decryptCustomerData = async (customer) => {
   return decryptedCustomer;
 };
 
+// Helper to show a customer to staff: decrypted PII only with customers:read_pii
+const presentCustomer = async (customer, user) => {
+  if (hasPermission(user, 'customers:read_pii')) {
+    return decryptCustomerData(customer);
+  }
+
+  return {
+    _id: customer._id,
+    createdAt: customer.createdAt,
+    updatedAt: customer.updatedAt,
+    isActive: customer.isActive,
+    // Which fields are on file, without their values
+    fieldsOnFile: ['phone', 'email', 'pan', 'address', 'name']
+      .filter(field => customer[`encrypted${field.charAt(0).toUpperCase()}${field.slice(1)}`])
+  };
+};
+
 // @desc    Get all customers
 // @route   GET /api/v1/customers
-// @access  Admin
+// @access  Staff (customers:read)
 export const getAllCustomers = async (req, res, next) => {
   try {
     const customers = await Customer.find();
@@ -78,7 +109,7 @@ export const getAllCustomers = async (req, res, next) => {
       status: 'success',
       results: customers.length,
       data: {
-        customers: await Promise.all(customers.map(decryptCustomerData))
+        customers: await Promise.all(customers.map(customer => presentCustomer(customer, req.user)))
       }
     });
   } catch (error) {
@@ -88,7 +119,7 @@ export const getAllCustomers = async (req, res, next) => {
 
 // @desc    Get customer by ID
 // @route   GET /api/v1/customers/:customerId
-// @access  Admin
+// @access  Staff (customers:read)
 export const getCustomer = async (req, res, next) => {
   try {
     const customer = await Customer.findById(req.params.customerId);
@@ -103,7 +134,7 @@ export const getCustomer = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        customer: await decryptCustomerData(customer)
+        customer: await presentCustomer(customer, req.user)
       }
     });
   } catch (error) {
@@ -113,7 +144,7 @@ export const getCustomer = async (req, res, next) => {
 
 // @desc    Create new customer
 // @route   POST /api/v1/customers
-// @access  Admin
+// @access  Staff (customers:write)
 export const createCustomer = async (req, res, next) => {
   try {
     const { phone, email, pan, address, name } = req.body;
@@ -139,7 +170,7 @@ export const createCustomer = async (req, res, next) => {
     // Log customer creation
     await auditService.logEvent({
       eventType: 'customer_created',
-      actorType: 'admin',
+      actorType: req.user.role,
       actorId: req.user._id,
       customerId: newCustomer._id,
       actionDetails: { customerId: newCustomer._id },
@@ -159,7 +190,7 @@ export const createCustomer = async (req, res, next) => {
 
 // @desc    Update customer
 // @route   PUT /api/v1/customers/:customerId
-// @access  Admin
+// @access  Staff (customers:write)
 export const updateCustomer = async (req, res, next) => {
   try {
     const { phone, email, pan, address, name, isActive } = req.body;
@@ -220,7 +251,7 @@ export const updateCustomer = async (req, res, next) => {
     // Log customer update
     await auditService.logEvent({
       eventType: 'customer_updated',
-      actorType: 'admin',
+      actorType: req.user.role,
       actorId: req.user._id,
       customerId: customer._id,
       actionDetails: { 
@@ -241,12 +272,42 @@ export const updateCustomer = async (req, res, next) => {
   }
 };
 
-// @desc    Delete customer
+// Apply an approved customer deletion
+const applyCustomerDeletion = async (action, { user, req }) => {
+  const customer = await Customer.findByIdAndDelete(action.targetId);
+  if (!customer) {
+    throw createError(404, 'No customer found with that ID');
+  }
+
+  // Log customer deletion
+  await auditService.logEvent({
+    eventType: 'customer_deleted',
+    actorType: user.role,
+    actorId: user._id,
+    customerId: action.targetId,
+    actionDetails: {
+      customerId: action.targetId,
+      pendingActionId: action.actionId,
+      proposedBy: action.proposedBy
+    },
+    metadata: { ip: req.ip }
+  });
+
+  return { customerId: action.targetId };
+};
+
+pendingActionService.registerAction('customer_deletion', {
+  permission: 'customers:delete',
+  targetType: 'customer',
+  execute: applyCustomerDeletion
+});
+
+// @desc    Propose deleting a customer
 // @route   DELETE /api/v1/customers/:customerId
-// @access  Admin
+// @access  Staff (customers:delete); a second staff member must approve the proposal
 export const deleteCustomer = async (req, res, next) => {
   try {
-    const customer = await Customer.findByIdAndDelete(req.params.customerId);
+    const customer = await Customer.findById(req.params.customerId);
 
     if (!customer) {
       return res.status(404).json({
@@ -255,19 +316,18 @@ export const deleteCustomer = async (req, res, next) => {
       });
     }
 
-    // Log customer deletion
-    await auditService.logEvent({
-      eventType: 'customer_deleted',
-      actorType: 'admin',
-      actorId: req.user._id,
-      customerId: req.params.customerId,
-      actionDetails: { customerId: req.params.customerId },
-      metadata: { ip: req.ip }
+    const pendingAction = await pendingActionService.propose({
+      actionType: 'customer_deletion',
+      targetId: customer._id,
+      reason: req.body?.reason,
+      user: req.user,
+      req
     });
 
-    res.status(204).json({
+    res.status(202).json({
       status: 'success',
-      data: null
+      data: { pendingAction },
+      message: 'Deletion proposed. A different staff member must approve it.'
     });
   } catch (error) {
     next(error);
@@ -417,3 +477,203 @@ export const getMyProfile = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    List which partners accessed your data, newest first
+// @route   GET /api/v1/customers/my-profile/access-history
+// @access  Customer
+export const getMyAccessHistory = async (req, res, next) => {
+  try {
+    const { partnerId, startDate, endDate, limit = 50, page = 1 } = req.query;
+    const { customerId } = req.user;
+
+    if (!customerId) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You have not created a customer profile yet'
+      });
+    }
+
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid date range'
+      });
+    }
+
+    // Requests made before customerId was recorded are matched through the customer's consents
+    const consents = await Consent.find({ customerId })
+      .select('consentId partnerId purpose consentVersion status');
+    const filter = {
+      $or: [
+        { customerId },
+        { consentId: { $in: consents.map(consent => consent.consentId) } }
+      ]
+    };
+    if (partnerId) filter.partnerId = partnerId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const requests = await DataRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalAccesses = await DataRequest.countDocuments(filter);
+    const totalPages = Math.ceil(totalAccesses / limit);
+
+    // Partner names and the matching audit entries for this page
+    const partners = await Partner.find({
+      partnerId: { $in: [...new Set(requests.map(request => request.partnerId))] }
+    }).select('partnerId partnerName');
+    const auditLogs = await AuditLog.find({
+      eventType: 'data_request',
+      'actionDetails.requestId': { $in: requests.map(request => request.requestId) }
+    }).select('logId actionDetails.requestId');
+
+    const partnerNames = new Map(partners.map(partner => [partner.partnerId, partner.partnerName]));
+    const consentsById = new Map(consents.map(consent => [consent.consentId, consent]));
+    const auditLogIds = new Map(auditLogs.map(log => [log.actionDetails.requestId, log.logId]));
+
+    const accesses = requests.map(request => {
+      const consent = consentsById.get(request.consentId);
+      return {
+        requestId: request.requestId,
+        accessedAt: request.createdAt,
+        partner: {
+          partnerId: request.partnerId,
+          partnerName: partnerNames.get(request.partnerId) || null
+        },
+        // Requests fulfilled before returned fields were recorded only know what was asked for
+        fieldsReturned: request.status === 'fulfilled' ? request.returnedFields : request.requestedFields,
+        fieldsRequested: request.requestedFields,
+        purpose: request.purpose || consent?.purpose || null,
+        consent: {
+          consentId: request.consentId,
+          consentVersion: consent?.consentVersion,
+          // Version whose terms authorised this access (not kept for older requests)
+          authorisedByVersion: request.consentVersion || null,
+          status: consent?.status
+        },
+        status: request.status,
+        auditLogId: auditLogIds.get(request.requestId) || null
+      };
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: accesses.length,
+      pagination: {
+        totalAccesses,
+        totalPages,
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      },
+      data: {
+        accesses
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List your in-app notifications, newest first
+// @route   GET /api/v1/customers/my-profile/notifications
+// @access  Customer
+export const getMyNotifications = async (req, res, next) => {
+  try {
+    const { unread, type, limit = 50, page = 1 } = req.query;
+    const { customerId } = req.user;
+
+    if (!customerId) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You have not created a customer profile yet'
+      });
+    }
+
+    // Build the filter
+    const filter = { customerId };
+    if (unread === 'true') filter.readAt = null;
+    if (type) filter.type = type;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const notifications = await CustomerNotification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalNotifications = await CustomerNotification.countDocuments(filter);
+    const totalPages = Math.ceil(totalNotifications / limit);
+    const unreadCount = await CustomerNotification.countDocuments({ customerId, readAt: null });
+
+    res.status(200).json({
+      status: 'success',
+      results: notifications.length,
+      unreadCount,
+      pagination: {
+        totalNotifications,
+        totalPages,
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      },
+      data: {
+        notifications
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark one of your notifications as read
+// @route   PATCH /api/v1/customers/my-profile/notifications/:notificationId/read
+// @access  Customer
+export const markMyNotificationRead = async (req, res, next) => {
+  try {
+    const { customerId } = req.user;
+
+    if (!customerId) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You have not created a customer profile yet'
+      });
+    }
+
+    const notification = await CustomerNotification.findOne({
+      notificationId: req.params.notificationId,
+      customerId
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No notification found with that ID'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
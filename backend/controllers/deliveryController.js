@@ -0,0 +1,186 @@
+import WebhookDelivery from '../models/webhookDeliveryModel.js';
+import webhookDeliveryService from '../utils/webhookDeliveryService.js';
+
+// @desc    Get webhook deliveries for a partner
+// @route   GET /api/v1/partners/:partnerId/deliveries
+// @access  Staff (deliveries:read)
+export const getPartnerDeliveries = async (req, res, next) => {
+  try {
+    const { partnerId } = req.params;
+    const { status, eventType, limit = 50, page = 1 } = req.query;
+
+    // Build the filter
+    const filter = { partnerId };
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    // The body can be large, so it is only returned when inspecting a single delivery
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-body')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalDeliveries = await WebhookDelivery.countDocuments(filter);
+    const totalPages = Math.ceil(totalDeliveries / limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: deliveries.length,
+      pagination: {
+        totalDeliveries,
+        totalPages,
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      },
+      data: {
+        deliveries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single webhook delivery including its payload
+// @route   GET /api/v1/partners/:partnerId/deliveries/:deliveryId
+// @access  Staff (deliveries:read)
+export const getPartnerDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      partnerId: req.params.partnerId,
+      deliveryId: req.params.deliveryId
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No delivery found with that ID'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        delivery
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Re-queue a delivered or dead-lettered webhook
+// @route   POST /api/v1/partners/:partnerId/deliveries/:deliveryId/replay
+// @access  Staff (deliveries:replay)
+export const replayPartnerDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      partnerId: req.params.partnerId,
+      deliveryId: req.params.deliveryId
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No delivery found with that ID'
+      });
+    }
+
+    await webhookDeliveryService.replay(delivery, req.user);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Delivery queued for replay',
+      data: {
+        delivery
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Fields a partner may see about its own callbacks
+const PARTNER_DELIVERY_FIELDS =
+  'deliveryId eventType status attempts maxAttempts lastAttemptAt lastResponseStatus lastLatencyMs ' +
+  'lastError nextAttemptAt deliveredAt deadLetteredAt replayCount attemptLog createdAt';
+
+// @desc    Get the authenticated partner's recent callbacks
+// @route   GET /api/v1/partners/deliveries
+// @route   GET /api/v1/partner-portal/deliveries (partner user)
+// @access  Partner
+export const getMyDeliveries = async (req, res, next) => {
+  try {
+    const { status, eventType, limit = 50, page = 1 } = req.query;
+
+    // Build the filter
+    const filter = { partnerId: req.partner.partnerId };
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .select(PARTNER_DELIVERY_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalDeliveries = await WebhookDelivery.countDocuments(filter);
+    const totalPages = Math.ceil(totalDeliveries / limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: deliveries.length,
+      pagination: {
+        totalDeliveries,
+        totalPages,
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      },
+      data: {
+        deliveries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request redelivery of one of the authenticated partner's callbacks
+// @route   POST /api/v1/partners/deliveries/:deliveryId/redeliver
+// @access  Partner
+export const redeliverMyDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      partnerId: req.partner.partnerId,
+      deliveryId: req.params.deliveryId
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No delivery found with that ID'
+      });
+    }
+
+    await webhookDeliveryService.replay(delivery, req.user);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Delivery queued for redelivery',
+      data: {
+        deliveryId: delivery.deliveryId,
+        status: delivery.status,
+        replayCount: delivery.replayCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,72 @@
+import consentExpiryService from '../utils/consentExpiryService.js';
+import consentReminderService from '../utils/consentReminderService.js';
+
+// Scheduled jobs by name
+const JOBS = {
+  [consentExpiryService.name]: consentExpiryService,
+  [consentReminderService.name]: consentReminderService
+};
+
+// @desc    Get the status of every scheduled job
+// @route   GET /api/v1/jobs
+// @access  Staff (jobs:read)
+export const getJobs = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        jobs: Object.values(JOBS).map(job => job.getStatus())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the status and last run of a scheduled job
+// @route   GET /api/v1/jobs/:jobName
+// @access  Staff (jobs:read)
+export const getJob = async (req, res, next) => {
+  try {
+    const job = JOBS[req.params.jobName];
+    if (!job) {
+      return res.status(404).json({ status: 'error', message: 'No job found with that name' });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job: job.getStatus()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Run a scheduled job now
+// @route   POST /api/v1/jobs/:jobName/run
+// @access  Staff (jobs:run)
+export const runJob = async (req, res, next) => {
+  try {
+    const job = JOBS[req.params.jobName];
+    if (!job) {
+      return res.status(404).json({ status: 'error', message: 'No job found with that name' });
+    }
+
+    if (job.running) {
+      return res.status(409).json({ status: 'error', message: 'Job is already running' });
+    }
+
+    const status = await job.run();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job: status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import signatureService from '../utils/signatureService.js';
+
+// Retired keys stay published long enough for partners to verify in-flight callbacks
+const getRetiredKeyWindowMs = () =>
+  parseInt(process.env.SIGNATURE_RETIRED_KEY_PUBLISH_DAYS || '90') * 24 * 60 * 60 * 1000;
+
+// Active key plus keys retired within the publish window
+const getPublishedKeys = () => {
+  const cutoff = Date.now() - getRetiredKeyWindowMs();
+  return signatureService
+    .getVerificationKeys()
+    .filter(key => key.active || (key.retiredAt && key.retiredAt.getTime() >= cutoff));
+};
+
+// @desc    Get the bank's signing keys as a JSON Web Key Set
+// @route   GET /.well-known/jwks.json
+// @access  Public
+export const getJwks = (req, res, next) => {
+  try {
+    const keys = getPublishedKeys().map(key => {
+      const { kty, n, e } = crypto.createPublicKey(key.publicKey).export({ format: 'jwk' });
+      return { kty, n, e, kid: key.kid, use: 'sig', alg: 'RS256' };
+    });
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json({ keys });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the bank's signing keys as PEM-encoded public keys
+// @route   GET /.well-known/signing-keys.json
+// @access  Public
+export const getSigningKeysPem = (req, res, next) => {
+  try {
+    const keys = getPublishedKeys().map(key => ({
+      kid: key.kid,
+      status: key.active ? 'active' : 'retired',
+      alg: 'RS256',
+      publicKey: key.publicKey,
+      createdAt: key.createdAt,
+      retiredAt: key.retiredAt
+    }));
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json({
+      status: 'success',
+      results: keys.length,
+      data: {
+        activeKid: signatureService.getActiveKeyId(),
+        keys
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
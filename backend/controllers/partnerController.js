@@ -8,11 +8,22 @@ import encryptionService from '../utils/encryptionService.js';
 import signatureService from '../utils/signatureService.js';
 import apiTokenService from '../utils/apiTokenService.js'; // ✅ Correct usage
 import notificationService from '../utils/notificationService.js';
+import pendingActionService from '../utils/pendingActionService.js';
+import consentExpiryService from '../utils/consentExpiryService.js';
+import consentVersionService from '../utils/consentVersionService.js';
+import customerNotificationService from '../utils/customerNotificationService.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Create an error response
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 // @desc    Register new partner
 // @route   POST /api/v1/partners/register
-// @access  Admin
+// @access  Staff (partners:manage)
 export const registerPartner = async (req, res, next) => {
   try {
     const { partnerName, callbackUrl, requestedContract, publicKey } = req.body;
@@ -105,7 +116,7 @@ export const registerPartner = async (req, res, next) => {
 
 // @desc    Get all partners
 // @route   GET /api/v1/partners
-// @access  Admin
+// @access  Staff (partners:read)
 export const getAllPartners = async (req, res, next) => {
   try {
     const partners = await Partner.find().select('-apiTokenHash');
@@ -121,7 +132,7 @@ export const getAllPartners = async (req, res, next) => {
 
 // @desc    Get single partner
 // @route   GET /api/v1/partners/:partnerId
-// @access  Admin
+// @access  Staff (partners:read)
 export const getPartner = async (req, res, next) => {
   try {
     const partner = await Partner.findOne({ partnerId: req.params.partnerId }).select('-apiTokenHash');
@@ -136,7 +147,7 @@ export const getPartner = async (req, res, next) => {
 
 // @desc    Update partner
 // @route   PUT /api/v1/partners/:partnerId
-// @access  Admin
+// @access  Staff (partners:manage)
 export const updatePartner = async (req, res, next) => {
   try {
     const { partnerName, callbackUrl, status, requestedContract, publicKey } = req.body;
@@ -145,6 +156,21 @@ export const updatePartner = async (req, res, next) => {
       return res.status(404).json({ status: 'error', message: 'No partner found with that ID' });
     }
 
+    // Suspension and key changes need a second approver, so they can't be made here
+    if (publicKey) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Public keys are changed through POST /partners/:partnerId/keys'
+      });
+    }
+    // Any status other than active cuts the partner off, which is a suspension
+    if (status && status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Partners can only be set to active here; they are suspended through POST /partners/:partnerId/suspend'
+      });
+    }
+
     if (partnerName) partner.partnerName = partnerName;
     
     // Track if callback URL is being set for the first time
@@ -152,7 +178,6 @@ export const updatePartner = async (req, res, next) => {
     if (callbackUrl) partner.callbackUrl = callbackUrl;
     
     if (status) partner.status = status;
-    if (publicKey) partner.publicKey = publicKey;
 
     // Flag to track if contract was updated
     let contractUpdated = false;
@@ -226,7 +251,7 @@ export const updatePartner = async (req, res, next) => {
         bankInfo: {
           notificationTypes: ['registration_success', 'contract_approved', 'contract_rejected', 'customer_data_shared'],
           webhookFormat: 'JSON POST requests with signature verification',
-          retryPolicy: 'Up to 3 retries with exponential backoff'
+          retryPolicy: `Up to ${process.env.WEBHOOK_MAX_ATTEMPTS || 8} delivery attempts with exponential backoff`
         }
       };
       
@@ -260,12 +285,44 @@ export const updatePartner = async (req, res, next) => {
   }
 };
 
-// @desc    Update partner's public key
+// Apply an approved public key change
+const applyPartnerKeyUpdate = async (action, { user, req }) => {
+  const partner = await Partner.findOne({ partnerId: action.targetId });
+  if (!partner) {
+    throw createError(404, 'No partner found with that ID');
+  }
+
+  partner.publicKey = action.payload.publicKey;
+  await partner.save();
+
+  await auditService.logEvent({
+    eventType: 'partner_key_updated',
+    actorType: user.role,
+    actorId: user._id,
+    partnerId: partner.partnerId,
+    actionDetails: {
+      partnerId: partner.partnerId,
+      pendingActionId: action.actionId,
+      proposedBy: action.proposedBy
+    },
+    metadata: { ip: req.ip }
+  });
+
+  return { partnerId: partner.partnerId };
+};
+
+pendingActionService.registerAction('partner_key_update', {
+  permission: 'partners:manage',
+  targetType: 'partner',
+  execute: applyPartnerKeyUpdate
+});
+
+// @desc    Propose replacing a partner's public key
 // @route   POST /api/v1/partners/:partnerId/keys
-// @access  Admin
+// @access  Staff (partners:manage); a second staff member must approve the proposal
 export const updatePartnerKey = async (req, res, next) => {
   try {
-    const { publicKey } = req.body;
+    const { publicKey, reason } = req.body;
     if (!publicKey) {
       return res.status(400).json({ status: 'error', message: 'Public key is required' });
     }
@@ -275,19 +332,87 @@ export const updatePartnerKey = async (req, res, next) => {
       return res.status(404).json({ status: 'error', message: 'No partner found with that ID' });
     }
 
-    partner.publicKey = publicKey;
-    await partner.save();
+    const pendingAction = await pendingActionService.propose({
+      actionType: 'partner_key_update',
+      targetId: partner.partnerId,
+      payload: { publicKey },
+      reason,
+      user: req.user,
+      req
+    });
 
-    await auditService.logEvent({
-      eventType: 'partner_key_updated',
-      actorType: req.user.role,
-      actorId: req.user._id,
+    res.status(202).json({
+      status: 'success',
+      data: { pendingAction },
+      message: 'Public key change proposed. A different staff member must approve it.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Apply an approved partner suspension
+const applyPartnerSuspension = async (action, { user, req }) => {
+  const partner = await Partner.findOne({ partnerId: action.targetId });
+  if (!partner) {
+    throw createError(404, 'No partner found with that ID');
+  }
+
+  const previousStatus = partner.status;
+  partner.status = 'suspended';
+  await partner.save();
+
+  await auditService.logEvent({
+    eventType: 'partner_suspended',
+    actorType: user.role,
+    actorId: user._id,
+    partnerId: partner.partnerId,
+    actionDetails: {
       partnerId: partner.partnerId,
-      actionDetails: { partnerId: partner.partnerId },
-      metadata: { ip: req.ip }
+      previousStatus,
+      reason: action.proposalReason,
+      pendingActionId: action.actionId,
+      proposedBy: action.proposedBy
+    },
+    metadata: { ip: req.ip }
+  });
+
+  return { partnerId: partner.partnerId, previousStatus, status: partner.status };
+};
+
+pendingActionService.registerAction('partner_suspension', {
+  permission: 'partners:manage',
+  targetType: 'partner',
+  execute: applyPartnerSuspension
+});
+
+// @desc    Propose suspending a partner
+// @route   POST /api/v1/partners/:partnerId/suspend
+// @access  Staff (partners:manage); a second staff member must approve the proposal
+export const suspendPartner = async (req, res, next) => {
+  try {
+    const partner = await Partner.findOne({ partnerId: req.params.partnerId });
+    if (!partner) {
+      return res.status(404).json({ status: 'error', message: 'No partner found with that ID' });
+    }
+
+    if (partner.status === 'suspended') {
+      return res.status(409).json({ status: 'error', message: 'Partner is already suspended' });
+    }
+
+    const pendingAction = await pendingActionService.propose({
+      actionType: 'partner_suspension',
+      targetId: partner.partnerId,
+      reason: req.body.reason,
+      user: req.user,
+      req
     });
 
-    res.status(200).json({ status: 'success', data: { message: 'Partner public key updated successfully' } });
+    res.status(202).json({
+      status: 'success',
+      data: { pendingAction },
+      message: 'Suspension proposed. A different staff member must approve it.'
+    });
   } catch (error) {
     next(error);
   }
@@ -295,7 +420,7 @@ export const updatePartnerKey = async (req, res, next) => {
 
 // @desc    Get pending contracts
 // @route   GET /api/v1/partners/pending-contracts
-// @access  Admin
+// @access  Staff (partners:read)
 export const getPendingContractPartners = async (req, res, next) => {
   try {
     const pendingPartners = await Partner.find({
@@ -313,148 +438,195 @@ export const getPendingContractPartners = async (req, res, next) => {
   }
 };
 
-// @desc    Approve or reject partner contract
-// @route   POST /api/v1/partners/:partnerId/contract/approve
-// @access  Admin
-export const approvePartnerContract = async (req, res, next) => {
-  try {
-    const { approve } = req.body;
-    const partner = await Partner.findOne({ partnerId: req.params.partnerId });
-    if (!partner) {
-      return res.status(404).json({ status: 'error', message: 'No partner found with that ID' });
-    }
+// Apply an approved contract decision (runs once a second staff member approves the proposal)
+const applyContractDecision = async (action, { user, req }) => {
+  const { approve, requestedAt } = action.payload;
+  const partner = await Partner.findOne({ partnerId: action.targetId });
+  if (!partner) {
+    throw createError(404, 'No partner found with that ID');
+  }
 
-    if (!partner.requestedContract) {
-      return res.status(400).json({ status: 'error', message: 'This partner has no requested contract' });
-    }
+  if (!partner.requestedContract) {
+    throw createError(400, 'This partner has no requested contract');
+  }
+
+  // The partner resubmitted after the proposal, so the approver never saw this contract
+  if (new Date(partner.requestedContract.requestedAt).getTime() !== new Date(requestedAt).getTime()) {
+    throw createError(409, 'The requested contract changed after this decision was proposed');
+  }
+
+  if (approve === true) {
+    // Generate a unique contract ID
+    const contractId = uuidv4();
+    
+    // Store the full contract data
+    partner.approvedContract = true;
+    partner.contractData = {
+      allowedDataFields: partner.requestedContract.allowedDataFields,
+      purpose: partner.requestedContract.purpose,
+      retentionPeriod: partner.requestedContract.retentionPeriod,
+      legalBasis: partner.requestedContract.legalBasis,
+      contractText: partner.requestedContract.contractText,
+      contractId: contractId,
+      version: 1 // First version of the contract
+    };
+    partner.contractApprovedAt = new Date();
+    partner.contractApprovedBy = user._id;
+    
+    // If partner was pending, set to active upon contract approval
+    if (partner.status === 'pending') partner.status = 'active';
+  } else {
+    // Reject the contract
+    partner.approvedContract = false;
+    partner.contractData = null;
+    partner.contractApprovedAt = null;
+    partner.contractApprovedBy = null;
+  }
+
+  await partner.save();
+
+  // Log contract approval/rejection
+  await auditService.logEvent({
+    eventType: approve ? 'partner_contract_approved' : 'partner_contract_rejected',
+    actorType: user.role,
+    actorId: user._id,
+    partnerId: partner.partnerId,
+    actionDetails: { 
+      partnerId: partner.partnerId, 
+      decision: approve ? 'approved' : 'rejected',
+      contractId: approve ? partner.contractData.contractId : null,
+      pendingActionId: action.actionId,
+      proposedBy: action.proposedBy
+    },
+    metadata: { ip: req.ip }
+  });
+
+  // Send webhook notification to partner if they have a callback URL
+  if (partner.callbackUrl) {
+    // Create notification payload
+    const notificationData = {
+      event: approve ? 'contract_approved' : 'contract_rejected',
+      partnerId: partner.partnerId,
+      status: partner.status,
+      message: approve ? 
+        'Your contract has been approved. You can now receive data requests.' : 
+        'Your contract has been rejected. Please review and update your contract details.'
+    };
 
-    if (approve === true) {
-      // Generate a unique contract ID
-      const contractId = uuidv4();
+    // Add comprehensive bank information only if approved
+    if (approve) {
+      notificationData.bankCredentials = {
+        // Bank's public key for signature verification
+        bankPublicKey: signatureService.getPublicKey(),
+        bankKeyId: signatureService.getActiveKeyId(),
+        jwksUrl: `${process.env.BANK_BASE_URL || 'http://localhost:3001'}/.well-known/jwks.json`,
+        
+        // API endpoints for partner to use
+        apiEndpoints: {
+          dataRequest: `${process.env.BANK_BASE_URL || 'http://localhost:3001'}/api/v1/partners/data-request`,
+          partnerStatus: `${process.env.BANK_BASE_URL || 'http://localhost:3001'}/api/v1/partners/profile`,
+          consents: `${process.env.BANK_BASE_URL || 'http://localhost:3001'}/api/v1/partners/consents`
+        },
+        
+        // Field encryption key (bank uses this to encrypt individual customer data fields)
+        fieldEncryptionInfo: {
+          algorithm: 'AES-256-GCM',
+          note: 'Individual customer data fields are encrypted with bank\'s internal field encryption key',
+          decryptionRequired: 'Contact bank support to obtain field decryption capabilities',
+          securityNotice: 'Field encryption key is not shared for security purposes'
+        },
+        
+        // Partner authentication info
+        authentication: {
+          method: 'Bearer Token',
+          headerName: 'Authorization',
+          tokenPrefix: 'Bearer',
+          note: 'Use the API token provided during registration'
+        }
+      };
       
-      // Store the full contract data
-      partner.approvedContract = true;
-      partner.contractData = {
-        allowedDataFields: partner.requestedContract.allowedDataFields,
-        purpose: partner.requestedContract.purpose,
-        retentionPeriod: partner.requestedContract.retentionPeriod,
-        legalBasis: partner.requestedContract.legalBasis,
-        contractText: partner.requestedContract.contractText,
-        contractId: contractId,
-        version: 1 // First version of the contract
+      notificationData.contractDetails = {
+        contractId: partner.contractData.contractId,
+        allowedDataFields: partner.contractData.allowedDataFields,
+        purpose: partner.contractData.purpose,
+        retentionPeriod: partner.contractData.retentionPeriod,
+        approvedAt: partner.contractApprovedAt
       };
-      partner.contractApprovedAt = new Date();
-      partner.contractApprovedBy = req.user._id;
       
-      // If partner was pending, set to active upon contract approval
-      if (partner.status === 'pending') partner.status = 'active';
-    } else {
-      // Reject the contract
-      partner.approvedContract = false;
-      partner.contractData = null;
-      partner.contractApprovedAt = null;
-      partner.contractApprovedBy = null;
+      notificationData.integrationGuide = {
+        step1: 'Configure your webhook endpoint to receive customer data',
+        step2: 'Use the provided API endpoints to request customer data',
+        step3: 'Decrypt received data using RSA private key + AES',
+        step4: 'Further decrypt individual fields using bank\'s field encryption process',
+        documentation: 'https://docs.securebank.com/integration'
+      };
     }
 
-    await partner.save();
-
-    // Log contract approval/rejection
-    await auditService.logEvent({
-      eventType: approve ? 'partner_contract_approved' : 'partner_contract_rejected',
-      actorType: req.user.role,
-      actorId: req.user._id,
+    // Sign the notification payload
+    const payloadString = JSON.stringify(notificationData);
+    const signature = signatureService.signData(payloadString);
+    
+    // Send notification asynchronously (don't wait for completion)
+    notificationService.notifyPartnerContractStatus({
       partnerId: partner.partnerId,
-      actionDetails: { 
-        partnerId: partner.partnerId, 
-        decision: approve ? 'approved' : 'rejected',
-        contractId: approve ? partner.contractData.contractId : null
+      callbackUrl: partner.callbackUrl,
+      eventType: approve ? 'contract_approved' : 'contract_rejected',
+      data: {
+        ...notificationData,
+        signature
       },
-      metadata: { ip: req.ip }
+      user,
+      publicKey: partner.publicKey
+    }).catch(error => {
+      console.error(`Failed to notify partner ${partner.partnerId}:`, error);
     });
+  }
 
-    // Send webhook notification to partner if they have a callback URL
-    if (partner.callbackUrl) {
-      // Create notification payload
-      const notificationData = {
-        event: approve ? 'contract_approved' : 'contract_rejected',
-        partnerId: partner.partnerId,
-        status: partner.status,
-        message: approve ? 
-          'Your contract has been approved. You can now receive data requests.' : 
-          'Your contract has been rejected. Please review and update your contract details.'
-      };
+  return {
+    partnerId: partner.partnerId,
+    decision: approve ? 'approved' : 'rejected',
+    contractId: approve ? partner.contractData.contractId : null
+  };
+};
 
-      // Add comprehensive bank information only if approved
-      if (approve) {
-        notificationData.bankCredentials = {
-          // Bank's public key for signature verification
-          bankPublicKey: signatureService.getPublicKey(),
-          
-          // API endpoints for partner to use
-          apiEndpoints: {
-            dataRequest: `${process.env.BANK_BASE_URL || 'http://localhost:3001'}/api/v1/partners/data-request`,
-            partnerStatus: `${process.env.BANK_BASE_URL || 'http://localhost:3001'}/api/v1/partners/profile`,
-            consents: `${process.env.BANK_BASE_URL || 'http://localhost:3001'}/api/v1/partners/consents`
-          },
-          
-          // Field encryption key (bank uses this to encrypt individual customer data fields)
-          fieldEncryptionInfo: {
-            algorithm: 'AES-256-GCM',
-            note: 'Individual customer data fields are encrypted with bank\'s internal field encryption key',
-            decryptionRequired: 'Contact bank support to obtain field decryption capabilities',
-            securityNotice: 'Field encryption key is not shared for security purposes'
-          },
-          
-          // Partner authentication info
-          authentication: {
-            method: 'Bearer Token',
-            headerName: 'Authorization',
-            tokenPrefix: 'Bearer',
-            note: 'Use the API token provided during registration'
-          }
-        };
-        
-        notificationData.contractDetails = {
-          contractId: partner.contractData.contractId,
-          allowedDataFields: partner.contractData.allowedDataFields,
-          purpose: partner.contractData.purpose,
-          retentionPeriod: partner.contractData.retentionPeriod,
-          approvedAt: partner.contractApprovedAt
-        };
-        
-        notificationData.integrationGuide = {
-          step1: 'Configure your webhook endpoint to receive customer data',
-          step2: 'Use the provided API endpoints to request customer data',
-          step3: 'Decrypt received data using RSA private key + AES',
-          step4: 'Further decrypt individual fields using bank\'s field encryption process',
-          documentation: 'https://docs.securebank.com/integration'
-        };
-      }
+pendingActionService.registerAction('partner_contract_decision', {
+  permission: 'contracts:approve',
+  targetType: 'partner',
+  execute: applyContractDecision
+});
 
-      // Sign the notification payload
-      const payloadString = JSON.stringify(notificationData);
-      const signature = signatureService.signData(payloadString);
-      
-      // Send notification asynchronously (don't wait for completion)
-      notificationService.notifyPartnerContractStatus({
-        partnerId: partner.partnerId,
-        callbackUrl: partner.callbackUrl,
-        eventType: approve ? 'contract_approved' : 'contract_rejected',
-        data: {
-          ...notificationData,
-          signature
-        },
-        user: req.user,
-        publicKey: partner.publicKey
-      }).catch(error => {
-        console.error(`Failed to notify partner ${partner.partnerId}:`, error);
-      });
+// @desc    Propose approving or rejecting a partner contract
+// @route   POST /api/v1/partners/:partnerId/contract/approve
+// @access  Staff (contracts:approve); a second staff member must approve the proposal
+export const approvePartnerContract = async (req, res, next) => {
+  try {
+    const { approve, reason } = req.body;
+    if (typeof approve !== 'boolean') {
+      return res.status(400).json({ status: 'error', message: 'approve must be true or false' });
     }
 
-    res.status(200).json({
+    const partner = await Partner.findOne({ partnerId: req.params.partnerId });
+    if (!partner) {
+      return res.status(404).json({ status: 'error', message: 'No partner found with that ID' });
+    }
+
+    if (!partner.requestedContract) {
+      return res.status(400).json({ status: 'error', message: 'This partner has no requested contract' });
+    }
+
+    const pendingAction = await pendingActionService.propose({
+      actionType: 'partner_contract_decision',
+      targetId: partner.partnerId,
+      payload: { approve, requestedAt: partner.requestedContract.requestedAt },
+      reason,
+      user: req.user,
+      req
+    });
+
+    res.status(202).json({
       status: 'success',
-      data: { partner },
-      message: approve ? 'Partner contract approved successfully.' : 'Partner contract rejected.'
+      data: { pendingAction },
+      message: `Contract ${approve ? 'approval' : 'rejection'} proposed. A different staff member must approve it.`
     });
   } catch (error) {
     next(error);
@@ -530,7 +702,8 @@ export const partnerDataRequest = async (req, res, next) => {
     if (!consent) return res.status(404).json({ status: 'error', message: 'No active consent found' });
 
     if (new Date() > new Date(consent.expiresAt)) {
-      consent.status = 'expired'; await consent.save();
+      // Don't wait for the next scheduled sweep
+      await consentExpiryService.expireConsent(consent, { trigger: 'data_request' });
       return res.status(403).json({ status: 'error', message: 'Consent expired' });
     }
 
@@ -549,14 +722,14 @@ export const partnerDataRequest = async (req, res, next) => {
     const customer = await Customer.findById(consent.customerId);
     if (!customer) return res.status(404).json({ status: 'error', message: 'Customer not found' });
 
-    await DataRequest.create({ requestId, partnerId, customerId: consent.customerId, consentId, requestedFields, status: 'approved', requestedAt: new Date() });
+    await DataRequest.create({ requestId, partnerId, customerId: consent.customerId, consentId, consentVersion: consent.version, requestedFields, purpose: consent.purpose, status: 'approved' });
 
     await auditService.logEvent({
       eventType: 'data_request',
       actorType: 'partner',
       actorId: partnerId,
       customerId: consent.customerId, consentId,
-      actionDetails: { requestId, requestedFields },
+      actionDetails: { requestId, requestedFields, consentVersion: consent.version },
       metadata: { ip: req.ip }
     });
 
@@ -590,6 +763,12 @@ export const partnerDataRequest = async (req, res, next) => {
       }
     });
     
+    // Record what was really shared, for the customer's access history
+    await DataRequest.updateOne(
+      { requestId },
+      { returnedFields: Object.keys(responseData), status: 'fulfilled', processedAt: new Date() }
+    );
+
     // If response is empty, add a test field to demonstrate encryption
     if (Object.keys(responseData).length === 0) {
       console.log('No matching fields found, adding test data');
@@ -754,16 +933,173 @@ export const partnerDataRequest = async (req, res, next) => {
         status: 'success', 
         encrypted: true,
         data: encryptedResponse,
-        message: req.partner.callbackUrl ? 'Data sent via API response and pushed to partner endpoint' : 'Data sent via API response only'
+        message: req.partner.callbackUrl ? 'Data sent via API response and queued for delivery to partner endpoint' : 'Data sent via API response only'
       });
     } else {
       res.status(200).json({ 
         status: 'success', 
         encrypted: false,
         data: responseData,
-        message: req.partner.callbackUrl ? 'Data sent via API response and pushed to partner endpoint' : 'Data sent via API response only'
+        message: req.partner.callbackUrl ? 'Data sent via API response and queued for delivery to partner endpoint' : 'Data sent via API response only'
+      });
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Ask a customer for consent under the partner's approved contract
+// @route   POST /api/v1/partners/consent-requests
+// @access  Partner
+export const createConsentRequest = async (req, res, next) => {
+  try {
+    const { customerId, consentDuration, allowedDataFields, message } = req.body;
+    const partner = req.partner;
+
+    if (partner.status !== 'active' || !partner.approvedContract || !partner.contractData) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Partner is not active or does not have an approved contract'
+      });
+    }
+
+    if (!customerId || !consentDuration) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'customerId and consentDuration are required'
       });
     }
+
+    if (!Number.isInteger(consentDuration) || consentDuration <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'consentDuration must be a positive whole number of milliseconds'
+      });
+    }
+
+    const minDuration = parseInt(process.env.MIN_CONSENT_DURATION_MS);
+    if (consentDuration < minDuration) {
+      const minHours = minDuration / (60 * 60 * 1000);
+      return res.status(400).json({
+        status: 'error',
+        message: `Consent duration must be at least ${minHours} hour(s)`
+      });
+    }
+
+    const {
+      allowedDataFields: contractFields,
+      purpose,
+      retentionPeriod,
+      legalBasis,
+      contractText,
+      contractId
+    } = partner.contractData;
+
+    // A request may ask for less than the contract allows, never more
+    const requestedFields = allowedDataFields || contractFields;
+    if (
+      !Array.isArray(requestedFields) || requestedFields.length === 0 ||
+      !requestedFields.every(field => typeof field === 'string')
+    ) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'allowedDataFields must be a non-empty array of field names'
+      });
+    }
+    const invalidFields = requestedFields.filter(field => !contractFields.includes(field));
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Fields not covered by your approved contract: ${invalidFields.join(', ')}`
+      });
+    }
+
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No customer found with that ID'
+      });
+    }
+
+    // One open request per customer at a time
+    const openRequest = await Consent.exists({
+      customerId,
+      partnerId: partner.partnerId,
+      status: 'pending',
+      requestExpiresAt: { $gt: new Date() }
+    });
+    if (openRequest) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'There is already an open consent request for this customer'
+      });
+    }
+
+    const requestExpiryHours = parseInt(process.env.CONSENT_REQUEST_EXPIRY_HOURS || '168');
+    const partnerUser = { _id: partner.partnerId, role: 'partner' };
+
+    // The term starts when the customer accepts; expiresAt is reset then
+    const consent = await consentVersionService.createConsent({
+      customerId,
+      partnerId: partner.partnerId,
+      status: 'pending',
+      initiatedBy: 'partner',
+      requestMessage: message,
+      requestExpiresAt: new Date(Date.now() + requestExpiryHours * 60 * 60 * 1000),
+      allowedDataFields: requestedFields,
+      purpose,
+      retentionPeriod,
+      legalBasis,
+      contractText,
+      contractId,
+      consentDuration,
+      expiresAt: new Date(Date.now() + consentDuration)
+    }, {
+      user: partnerUser,
+      reason: message || 'Consent requested by partner'
+    });
+
+    await auditService.logEvent({
+      eventType: 'consent_requested',
+      actorType: 'partner',
+      actorId: partner.partnerId,
+      consentId: consent.consentId,
+      customerId,
+      partnerId: partner.partnerId,
+      actionDetails: {
+        consentId: consent.consentId,
+        allowedDataFields: requestedFields,
+        purpose,
+        contractId,
+        consentDuration,
+        requestExpiresAt: consent.requestExpiresAt
+      },
+      metadata: { ip: req.ip }
+    });
+
+    // Best effort: the request is in the customer's inbox either way
+    customerNotificationService.notify({
+      customerId,
+      type: 'consent_request',
+      title: `${partner.partnerName} is asking for your consent`,
+      message: `${partner.partnerName} would like to access your ${requestedFields.join(', ')} for "${purpose}". ` +
+        `Review the request in the app before ${consent.requestExpiresAt.toISOString()}.`,
+      consentId: consent.consentId,
+      data: {
+        partnerId: partner.partnerId,
+        requestExpiresAt: consent.requestExpiresAt
+      }
+    }).catch(error => {
+      console.error(`Failed to notify customer ${customerId} about consent request:`, error);
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        consent
+      }
+    });
   } catch (error) {
     next(error);
   }
@@ -771,12 +1107,15 @@ export const partnerDataRequest = async (req, res, next) => {
 
 // @desc    Get partner consents
 // @route   GET /api/v1/partners/consents
+// @route   GET /api/v1/partner-portal/consents (partner user)
 // @access  Partner
 export const getPartnerConsents = async (req, res, next) => {
   try {
     const partnerId = req.partner.partnerId;
     const statusFilter = req.query.status || 'active';
     const filter = { partnerId, ...(statusFilter !== 'all' && { status: statusFilter }) };
+    // Consents past expiresAt are no longer usable even before the expiry job marks them
+    if (statusFilter === 'active') filter.expiresAt = { $gt: new Date() };
     const consents = await Consent.find(filter);
     res.status(200).json({ status: 'success', results: consents.length, data: { consents } });
   } catch (error) {
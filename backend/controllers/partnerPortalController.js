@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import DataRequest from '../models/dataRequestModel.js';
+import auditService from '../utils/auditService.js';
+import signatureService from '../utils/signatureService.js';
+
+// Partner fields shown to the partner's own staff
+const PORTAL_PARTNER_FIELDS = [
+  'partnerId',
+  'partnerName',
+  'status',
+  'callbackUrl',
+  'approvedContract',
+  'contractApprovedAt',
+  'createdAt',
+  'updatedAt'
+];
+
+const pick = (doc, fields) =>
+  Object.fromEntries(fields.map(field => [field, doc[field]]));
+
+// @desc    Get your partner's profile
+// @route   GET /api/v1/partner-portal
+// @access  Partner user (partner_portal:read)
+export const getPortalPartner = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        partner: pick(req.partner, PORTAL_PARTNER_FIELDS)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get your partner's requested and approved contract
+// @route   GET /api/v1/partner-portal/contract
+// @access  Partner user (partner_portal:read)
+export const getPortalContract = async (req, res, next) => {
+  try {
+    const { partner } = req;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        approvedContract: partner.approvedContract,
+        contractApprovedAt: partner.contractApprovedAt,
+        contract: partner.contractData,
+        requestedContract: partner.requestedContract
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List your partner's data requests
+// @route   GET /api/v1/partner-portal/data-requests
+// @access  Partner user (partner_portal:read)
+export const getPortalDataRequests = async (req, res, next) => {
+  try {
+    const { status, consentId, startDate, endDate, limit = 50, page = 1 } = req.query;
+
+    // Build the filter
+    const filter = { partnerId: req.partner.partnerId };
+    if (status) filter.status = status;
+    if (consentId) filter.consentId = consentId;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const dataRequests = await DataRequest.find(filter)
+      .select('-requestSignature -responseSignature')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalRequests = await DataRequest.countDocuments(filter);
+    const totalPages = Math.ceil(totalRequests / limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: dataRequests.length,
+      pagination: {
+        totalRequests,
+        totalPages,
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      },
+      data: {
+        dataRequests
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get your partner's registered public key and the bank's signing key
+// @route   GET /api/v1/partner-portal/keys
+// @access  Partner user (partner_portal:read)
+export const getPortalKeys = async (req, res, next) => {
+  try {
+    const { publicKey } = req.partner;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        partnerKey: publicKey ? {
+          publicKey,
+          // Lets partner staff match the key against the one they hold
+          fingerprint: crypto.createHash('sha256').update(publicKey).digest('hex')
+        } : null,
+        bankKey: {
+          keyId: signatureService.getActiveKeyId(),
+          publicKey: signatureService.getPublicKey(),
+          jwksUrl: `${process.env.BANK_BASE_URL || 'http://localhost:3001'}/.well-known/jwks.json`
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update your partner's callback URL
+// @route   PUT /api/v1/partner-portal/callback-url
+// @access  Partner user (partner_portal:manage)
+export const updatePortalCallbackUrl = async (req, res, next) => {
+  try {
+    const { callbackUrl } = req.body;
+
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid http(s) callback URL'
+      });
+    }
+
+    const { partner } = req;
+    const previousCallbackUrl = partner.callbackUrl;
+    partner.callbackUrl = url.toString();
+    await partner.save();
+
+    await auditService.logEvent({
+      eventType: 'partner_callback_url_updated',
+      actorType: req.user.role,
+      actorId: req.user._id,
+      partnerId: partner.partnerId,
+      actionDetails: {
+        partnerId: partner.partnerId,
+        previousCallbackUrl,
+        callbackUrl: partner.callbackUrl
+      },
+      metadata: { ip: req.ip }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        partner: pick(partner, PORTAL_PARTNER_FIELDS)
+      },
+      message: 'Callback URL updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
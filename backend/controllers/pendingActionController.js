@@ -0,0 +1,125 @@
+import PendingAction from '../models/pendingActionModel.js';
+import pendingActionService from '../utils/pendingActionService.js';
+
+// @desc    List proposed sensitive actions
+// @route   GET /api/v1/pending-actions
+// @access  Staff (pending_actions:read)
+export const getPendingActions = async (req, res, next) => {
+  try {
+    const { status = 'pending', actionType, targetType, targetId, limit = 50, page = 1 } = req.query;
+
+    // Make overdue proposals show up as expired
+    await pendingActionService.expireStale();
+
+    // Build the filter
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (actionType) filter.actionType = actionType;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const actions = await PendingAction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalActions = await PendingAction.countDocuments(filter);
+    const totalPages = Math.ceil(totalActions / limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: actions.length,
+      pagination: {
+        totalActions,
+        totalPages,
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      },
+      data: {
+        pendingActions: actions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single proposed action
+// @route   GET /api/v1/pending-actions/:actionId
+// @access  Staff (pending_actions:read)
+export const getPendingAction = async (req, res, next) => {
+  try {
+    const pendingAction = await pendingActionService.getAction(req.params.actionId);
+
+    res.status(200).json({
+      status: 'success',
+      data: { pendingAction }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve and run a proposed action
+// @route   POST /api/v1/pending-actions/:actionId/approve
+// @access  Staff (pending_actions:read plus the action's own permission); not the proposer
+export const approvePendingAction = async (req, res, next) => {
+  try {
+    const pendingAction = await pendingActionService.approve(
+      req.params.actionId,
+      req.user,
+      req.body.reason,
+      req
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: { pendingAction },
+      message: 'Action approved and carried out.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a proposed action
+// @route   POST /api/v1/pending-actions/:actionId/reject
+// @access  Staff (pending_actions:read plus the action's own permission); not the proposer
+export const rejectPendingAction = async (req, res, next) => {
+  try {
+    const pendingAction = await pendingActionService.reject(
+      req.params.actionId,
+      req.user,
+      req.body.reason,
+      req
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: { pendingAction },
+      message: 'Action rejected.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Withdraw your own proposal
+// @route   POST /api/v1/pending-actions/:actionId/cancel
+// @access  Staff (pending_actions:read); proposer only
+export const cancelPendingAction = async (req, res, next) => {
+  try {
+    const pendingAction = await pendingActionService.cancel(req.params.actionId, req.user, req);
+
+    res.status(200).json({
+      status: 'success',
+      data: { pendingAction },
+      message: 'Action cancelled.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
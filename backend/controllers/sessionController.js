@@ -0,0 +1,158 @@
+import Session from '../models/sessionModel.js';
+import User from '../models/userModel.js';
+import auditService from '../utils/auditService.js';
+import sessionService from '../utils/sessionService.js';
+import { canManageAccount } from '../utils/permissions.js';
+
+// Session fields safe to show to the session owner
+const toSessionSummary = (session, currentSessionId) => ({
+  sessionId: session.sessionId,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.sessionId === currentSessionId
+});
+
+// @desc    List the logged-in user's active sessions
+// @route   GET /api/v1/auth/sessions
+// @access  Protected
+export const getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({ userId: req.user._id, status: 'active' })
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => toSessionSummary(session, req.sessionId))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of the logged-in user's sessions
+// @route   DELETE /api/v1/auth/sessions/:sessionId
+// @access  Protected
+export const revokeMySession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      sessionId: req.params.sessionId,
+      userId: req.user._id,
+      status: 'active'
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active session found with that ID'
+      });
+    }
+
+    await sessionService.revokeSession(session.sessionId, 'user_revoked');
+
+    await auditService.logEvent({
+      eventType: 'session_revoked',
+      actorType: req.user.role,
+      actorId: req.user._id,
+      actionDetails: {
+        sessionId: session.sessionId,
+        deviceName: session.deviceName,
+        current: session.sessionId === req.sessionId
+      },
+      metadata: { ip: req.ip }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all of the logged-in user's sessions
+// @route   DELETE /api/v1/auth/sessions
+// @access  Protected
+export const revokeAllMySessions = async (req, res, next) => {
+  try {
+    // ?exceptCurrent=true keeps the session making this request logged in
+    const keepCurrent = req.query.exceptCurrent === 'true';
+    const revokedSessions = await sessionService.revokeAllSessions(
+      req.user._id,
+      'user_revoked_all',
+      { exceptSessionId: keepCurrent ? req.sessionId : undefined }
+    );
+
+    await auditService.logEvent({
+      eventType: 'all_sessions_revoked',
+      actorType: req.user.role,
+      actorId: req.user._id,
+      actionDetails: {
+        revokedSessions,
+        keptCurrentSession: keepCurrent
+      },
+      metadata: { ip: req.ip }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `${revokedSessions} session(s) revoked`,
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Force-logout a user by revoking all of their sessions
+// @route   POST /api/v1/auth/users/:userId/force-logout
+// @access  Staff (users:manage)
+export const forceLogoutUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that ID'
+      });
+    }
+
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only users who can assign roles may manage staff accounts'
+      });
+    }
+
+    const revokedSessions = await sessionService.revokeAllSessions(user._id, 'admin_force_logout');
+
+    await auditService.logEvent({
+      eventType: 'user_force_logout',
+      actorType: req.user.role,
+      actorId: req.user._id,
+      customerId: user.customerId,
+      actionDetails: {
+        userId: user._id,
+        revokedSessions,
+        reason: req.body.reason || 'Not specified'
+      },
+      metadata: { ip: req.ip }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `User logged out of ${revokedSessions} session(s)`,
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
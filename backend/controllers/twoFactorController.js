@@ -0,0 +1,185 @@
+import User from '../models/userModel.js';
+import auditService from '../utils/auditService.js';
+import twoFactorService from '../utils/twoFactorService.js';
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+
+// Helper to log a two-factor event for the current user
+const logTwoFactorEvent = (req, eventType, actionDetails = {}) =>
+  auditService.logEvent({
+    eventType,
+    actorType: req.user.role,
+    actorId: req.user._id,
+    actionDetails,
+    metadata: { ip: req.ip }
+  }).catch(err => console.error(`Error logging ${eventType}:`, err));
+
+// @desc    Get two-factor status for the logged-in user
+// @route   GET /api/v1/auth/2fa
+// @access  Protected
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: twoFactorService.isRequired(user),
+        backupCodesRemaining: user.twoFactorEnabled ? user.twoFactorBackupCodes.length : 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrolment (returns the secret and QR provisioning URI)
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Protected
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled. Disable it first to enrol a new device'
+      });
+    }
+
+    const { secret, otpauthUrl } = await twoFactorService.startEnrolment(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code in your authenticator app, then confirm with a code',
+      data: { secret, otpauthUrl }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrolment with a code and switch two-factor on
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Protected
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup before verifying a code'
+      });
+    }
+
+    const backupCodes = await twoFactorService.completeEnrolment(user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await logTwoFactorEvent(req, 'two_factor_enabled');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they are shown only once',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the backup codes
+// @route   POST /api/v1/auth/2fa/backup-codes
+// @access  Protected
+export const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await twoFactorService.verify(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(user);
+    await logTwoFactorEvent(req, 'two_factor_backup_codes_regenerated');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'New backup codes generated; the previous codes no longer work',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Protected
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (twoFactorService.isRequired(user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Two-factor authentication is mandatory for the ${user.role} role`
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !(await user.isPasswordCorrect(password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Incorrect password'
+      });
+    }
+
+    if (!(await twoFactorService.verify(user, { code, backupCode }))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await twoFactorService.disable(user);
+    await logTwoFactorEvent(req, 'two_factor_disabled');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
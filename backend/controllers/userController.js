@@ -0,0 +1,468 @@
+import crypto from 'crypto';
+import User from '../models/userModel.js';
+import Partner from '../models/partnerModel.js';
+import auditService from '../utils/auditService.js';
+import mailService from '../utils/mailService.js';
+import sessionService from '../utils/sessionService.js';
+import loginThrottleService from '../utils/loginThrottleService.js';
+import {
+  ROLES,
+  getRolePermissions,
+  hasPermission,
+  canManageAccount
+} from '../utils/permissions.js';
+
+// Fields admins see when managing users
+const USER_ADMIN_FIELDS = '-passwordResetToken -passwordResetExpires';
+
+// Escape user input for use inside a RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper to log a user management event
+const logUserEvent = (req, eventType, user, actionDetails = {}) =>
+  auditService.logEvent({
+    eventType,
+    actorType: req.user.role,
+    actorId: req.user._id,
+    customerId: user.customerId,
+    partnerId: user.partnerId,
+    actionDetails: { userId: user._id, email: user.email, ...actionDetails },
+    metadata: { ip: req.ip }
+  });
+
+// Helper to stop the last account that can assign roles from being removed
+const isLastRoleManager = async (user) => {
+  if (!user.active || !hasPermission(user, 'users:assign_roles')) return false;
+
+  const managerRoles = ROLES.filter(role => getRolePermissions(role).includes('users:assign_roles'));
+  return (await User.countDocuments({ role: { $in: managerRoles }, active: true })) <= 1;
+};
+
+const STAFF_ACCOUNT_MESSAGE = 'Only users who can assign roles may manage staff accounts';
+
+// Partner portal accounts must belong to an existing partner
+const PARTNER_ACCOUNT_MESSAGE = 'A valid partnerId is required for partner accounts';
+const isKnownPartner = async (partnerId) =>
+  Boolean(partnerId) && Boolean(await Partner.exists({ partnerId: String(partnerId) }));
+
+// @desc    List users with filters
+// @route   GET /api/v1/auth/users
+// @access  Staff (users:read)
+export const getUsers = async (req, res, next) => {
+  try {
+    const {
+      role,
+      active,
+      emailVerified,
+      locked,
+      search,
+      limit = 50,
+      page = 1
+    } = req.query;
+
+    // Build the filter
+    const filter = {};
+    if (role) filter.role = role;
+    if (active !== undefined) filter.active = active === 'true';
+    if (emailVerified !== undefined) filter.emailVerified = emailVerified === 'true';
+    if (locked === 'true') filter.lockUntil = { $gt: new Date() };
+    if (locked === 'false') filter.$or = [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }];
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(String(search)), 'i');
+      filter.$and = [{ $or: [{ email: pattern }, { username: pattern }] }];
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(filter)
+      .select(USER_ADMIN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalUsers = await User.countDocuments(filter);
+    const totalPages = Math.ceil(totalUsers / limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: users.length,
+      pagination: {
+        totalUsers,
+        totalPages,
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      },
+      data: {
+        users
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a user
+// @route   GET /api/v1/auth/users/:userId
+// @access  Staff (users:read)
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select(USER_ADMIN_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that ID'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a user; they choose a password through the emailed link
+// @route   POST /api/v1/auth/users/invite
+// @access  Staff (users:manage)
+export const inviteUser = async (req, res, next) => {
+  try {
+    const { email, role = 'customer', partnerId } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an email address'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (!canManageAccount(req.user, { role })) {
+      return res.status(403).json({
+        status: 'error',
+        message: STAFF_ACCOUNT_MESSAGE
+      });
+    }
+
+    if (role === 'partner' && !await isKnownPartner(partnerId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: PARTNER_ACCOUNT_MESSAGE
+      });
+    }
+
+    const normalizedEmail = String(email).toLowerCase();
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A user with that email already exists'
+      });
+    }
+
+    let username = req.body.username || normalizedEmail.split('@')[0];
+    if (!req.body.username && await User.exists({ username })) {
+      username = `${username}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    const user = new User({
+      username,
+      email: normalizedEmail,
+      // Unusable until the invitee sets their own through the invitation link
+      password: crypto.randomBytes(32).toString('hex'),
+      role,
+      partnerId: role === 'partner' ? String(partnerId) : undefined,
+      invitedBy: req.user._id,
+      invitedAt: Date.now()
+    });
+
+    const expiryHours = parseInt(process.env.INVITATION_EXPIRY_HOURS || '72');
+    const inviteToken = user.createPasswordResetToken(expiryHours * 60);
+    await user.save();
+
+    const resetBaseUrl = process.env.PASSWORD_RESET_URL ||
+      `${req.protocol}://${req.get('host')}/api/v1/auth/reset-password`;
+
+    try {
+      await mailService.sendMail({
+        to: user.email,
+        subject: 'You have been invited to SecureShare',
+        text: `${req.user.username} invited you to SecureShare (role: ${role}).\n\n` +
+          `Choose your password within ${expiryHours} hours using this link:\n` +
+          `${resetBaseUrl}/${inviteToken}`
+      });
+    } catch (mailError) {
+      // An invitation nobody received would only block the email address
+      await User.deleteOne({ _id: user._id });
+
+      console.error('Error sending invitation email:', mailError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'There was an error sending the invitation. Please try again later'
+      });
+    }
+
+    await logUserEvent(req, 'user_invited', user, { role, partnerId: user.partnerId });
+
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.password = undefined;
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Invitation sent',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign a role to a user
+// @route   PATCH /api/v1/auth/users/:userId/role
+// @access  Staff (users:assign_roles)
+export const assignRole = async (req, res, next) => {
+  try {
+    const { role, reason, partnerId } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that ID'
+      });
+    }
+
+    if (String(user._id) === String(req.user._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({
+        status: 'error',
+        message: `User already has the ${role} role`
+      });
+    }
+
+    if (await isLastRoleManager(user) && !getRolePermissions(role).includes('users:assign_roles')) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Cannot remove the role of the last active user who can assign roles'
+      });
+    }
+
+    if (role === 'partner' && !await isKnownPartner(partnerId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: PARTNER_ACCOUNT_MESSAGE
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    // Only partner accounts are linked to a partner
+    user.partnerId = role === 'partner' ? String(partnerId) : undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Existing tokens carry the old role claim; make the user log in again
+    const revokedSessions = await sessionService.revokeAllSessions(user._id, 'role_changed');
+
+    await logUserEvent(req, 'user_role_changed', user, {
+      previousRole,
+      newRole: role,
+      partnerId: user.partnerId,
+      reason: reason || 'Not specified',
+      revokedSessions
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Role changed from ${previousRole} to ${role}`,
+      data: {
+        userId: user._id,
+        previousRole,
+        role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a user's role, returning them to the default customer role
+// @route   DELETE /api/v1/auth/users/:userId/role
+// @access  Staff (users:assign_roles)
+export const revokeRole = async (req, res, next) => {
+  req.body = { ...req.body, role: 'customer' };
+  return assignRole(req, res, next);
+};
+
+// @desc    Deactivate a user account
+// @route   PATCH /api/v1/auth/users/:userId/deactivate
+// @access  Staff (users:manage)
+export const deactivateUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that ID'
+      });
+    }
+
+    if (String(user._id) === String(req.user._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: STAFF_ACCOUNT_MESSAGE
+      });
+    }
+
+    if (!user.active) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User is already deactivated'
+      });
+    }
+
+    if (await isLastRoleManager(user)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Cannot deactivate the last active user who can assign roles'
+      });
+    }
+
+    user.active = false;
+    user.deactivatedAt = Date.now();
+    // Outstanding reset or invitation links must not reopen the account
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    const revokedSessions = await sessionService.revokeAllSessions(user._id, 'account_deactivated');
+
+    await logUserEvent(req, 'user_deactivated', user, {
+      reason: req.body.reason || 'Not specified',
+      revokedSessions
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User deactivated',
+      data: {
+        userId: user._id,
+        revokedSessions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reactivate a user account
+// @route   PATCH /api/v1/auth/users/:userId/reactivate
+// @access  Staff (users:manage)
+export const reactivateUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that ID'
+      });
+    }
+
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: STAFF_ACCOUNT_MESSAGE
+      });
+    }
+
+    if (user.active) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User is already active'
+      });
+    }
+
+    user.active = true;
+    user.deactivatedAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await logUserEvent(req, 'user_reactivated', user, {
+      reason: req.body.reason || 'Not specified'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User reactivated',
+      data: {
+        userId: user._id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock a user locked out by failed login attempts
+// @route   POST /api/v1/auth/users/:userId/unlock
+// @access  Staff (users:unlock)
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that ID'
+      });
+    }
+
+    const wasLocked = Boolean(user.lockUntil && user.lockUntil > Date.now());
+    await loginThrottleService.unlock(user, req.user, req, req.body.reason || 'admin_unlock');
+
+    res.status(200).json({
+      status: 'success',
+      message: wasLocked ? 'User unlocked' : 'User was not locked; failed login attempts reset',
+      data: {
+        userId: user._id,
+        wasLocked
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,7 @@
-import jwt from 'jsonwebtoken';
-import { promisify } from 'util';
 import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
+import tokenService from '../utils/tokenService.js';
+import { hasPermission, assertKnownPermissions } from '../utils/permissions.js';
 
 // Create an error response
 const createError = (statusCode, message) => {
@@ -28,15 +29,20 @@ export const protect = async (req, res, next) => {
     }
 
     // 2) Verify token
-    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
 
     // 3) Check if user still exists
-    const user = await User.findById(decoded.id);
+    const user = await User.findById(decoded.sub);
     if (!user) {
       return next(
         createError(401, 'The user belonging to this token no longer exists.')
       );
     }
+    if (!user.active) {
+      return next(
+        createError(401, 'This account has been deactivated.')
+      );
+    }
 
     // 4) Check if user changed password after the token was issued
     if (user.changedPasswordAfter(decoded.iat)) {
@@ -45,18 +51,34 @@ export const protect = async (req, res, next) => {
       );
     }
 
+    // 5) Check the session has not been logged out or revoked
+    const session = await Session.findOne({ sessionId: decoded.sid, status: 'active' });
+    if (!session) {
+      return next(
+        createError(401, 'This session has been logged out. Please log in again.')
+      );
+    }
+
+    // Record activity, at most once a minute per session
+    if (Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+      await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+    }
+
     // GRANT ACCESS TO PROTECTED ROUTE
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     next(createError(401, 'Authentication failed. Please log in again.'));
   }
 };
 
-// Restrict to certain roles
-export const restrictTo = (...roles) => {
+// Require every listed permission (see utils/permissions.js)
+export const requirePermission = (...permissions) => {
+  assertKnownPermissions(permissions);
+
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every(permission => hasPermission(req.user, permission))) {
       return next(
         createError(403, 'You do not have permission to perform this action')
       );
@@ -65,3 +87,15 @@ export const restrictTo = (...roles) => {
     next();
   };
 };
+
+// Require a verified email address for self-registered accounts
+export const requireVerifiedEmail = (req, res, next) => {
+  // Staff accounts are provisioned by admins rather than through signup
+  if (req.user.role === 'customer' && !req.user.emailVerified) {
+    return next(
+      createError(403, 'Please verify your email address before continuing')
+    );
+  }
+
+  next();
+};
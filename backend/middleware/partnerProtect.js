@@ -29,6 +29,10 @@ export const partnerProtect = async (req, res, next) => {
     return next(createError(401, 'Invalid partner token'));
   }
 
+  if (partner.status === 'suspended') {
+    return next(createError(403, 'Partner account is suspended'));
+  }
+
   // Set partner information for downstream middleware
   // Note: This creates a temporary user object for compatibility with existing auth checks
   // Partners use separate authentication but some endpoints still check req.user.role
@@ -36,3 +40,27 @@ export const partnerProtect = async (req, res, next) => {
   req.partner = partner;
   next();
 };
+
+// Load the partner a logged-in partner portal user belongs to (use after protect)
+export const requirePartnerAccount = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'partner' || !req.user.partnerId) {
+      return next(createError(403, 'This account is not linked to a partner'));
+    }
+
+    const partner = await Partner.findOne({ partnerId: req.user.partnerId });
+    if (!partner) {
+      return next(createError(404, 'Partner not found'));
+    }
+
+    // Suspension applies to the portal as well as the machine API
+    if (partner.status === 'suspended') {
+      return next(createError(403, 'Partner account is suspended'));
+    }
+
+    req.partner = partner;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
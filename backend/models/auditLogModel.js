@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { v4 as uuidv4 } from 'uuid';
+import { ROLES } from '../utils/permissions.js';
 
 const auditLogSchema = new mongoose.Schema({
   logId: { 
@@ -7,6 +8,13 @@ const auditLogSchema = new mongoose.Schema({
     default: () => uuidv4(),
     unique: true
   },
+  // Position in the hash chain; unique so two writers can never extend the same entry
+  sequence: {
+    type: Number,
+    required: [true, 'Sequence number is required'],
+    unique: true,
+    immutable: true
+  },
   eventType: {
     type: String,
     required: [true, 'Event type is required']
@@ -14,7 +22,8 @@ const auditLogSchema = new mongoose.Schema({
   actorType: {
     type: String,
     required: [true, 'Actor type is required'],
-    enum: ['customer', 'partner', 'admin', 'system']
+    // 'partner' (a role) also covers partners calling with their API token
+    enum: ['system', ...ROLES]
   },
   actorId: {
     type: String,
@@ -25,9 +34,20 @@ const auditLogSchema = new mongoose.Schema({
   partnerId: String,
   actionDetails: mongoose.Schema.Types.Mixed,
   metadata: mongoose.Schema.Types.Mixed,
-  eventHash: String,
-  previousHash: String,
-  digitalSignature: String,
+  eventHash: {
+    type: String,
+    required: [true, 'Event hash is required']
+  },
+  previousHash: {
+    type: String,
+    required: [true, 'Previous hash is required']
+  },
+  digitalSignature: {
+    type: String,
+    required: [true, 'Digital signature is required']
+  },
+  // Key ID (kid) of the bank signing key that produced digitalSignature
+  signingKeyId: String,
   createdAt: { 
     type: Date, 
     default: Date.now,
@@ -35,7 +55,9 @@ const auditLogSchema = new mongoose.Schema({
   }
 }, {
   // Disallow modification of audit logs
-  timestamps: false
+  timestamps: false,
+  // Keep empty objects in actionDetails/metadata: the event hash is computed over them
+  minimize: false
 });
 
 // Create indexes for performance
@@ -21,6 +21,11 @@ const consentSchema = new mongoose.Schema({
     type: String, 
     default: 'v1.0' 
   },
+  // Number of the latest ConsentVersion; bumped on every change
+  version: {
+    type: Number,
+    default: 1
+  },
   allowedDataFields: {
     type: [String],
     required: [true, 'At least one data field must be specified']
@@ -58,8 +63,28 @@ const consentSchema = new mongoose.Schema({
   status: { 
     type: String, 
     default: 'active',
-    enum: ['active', 'revoked', 'expired', 'pending']
+    enum: ['active', 'revoked', 'expired', 'pending', 'declined']
+  },
+  // Who started the consent: the customer directly, or a partner's consent request
+  initiatedBy: {
+    type: String,
+    default: 'customer',
+    enum: ['customer', 'partner']
+  },
+  // Partner consent requests: note for the customer and how long they have to answer
+  requestMessage: String,
+  requestExpiresAt: Date,
+  respondedAt: Date,
+  // Reminder windows (hours before expiresAt) already sent for the current term
+  expiryRemindersSent: {
+    type: [Number],
+    default: []
+  },
+  renewalCount: {
+    type: Number,
+    default: 0
   },
+  lastRenewedAt: Date,
   consentMethod: String,
   ipAddressHash: String,
   deviceFingerprint: String,
@@ -86,6 +111,7 @@ consentSchema.index({ customerId: 1 });
 consentSchema.index({ partnerId: 1 });
 consentSchema.index({ status: 1 });
 consentSchema.index({ expiresAt: 1 });
+consentSchema.index({ customerId: 1, status: 1, requestExpiresAt: 1 });
 
 const Consent = mongoose.model('Consent', consentSchema);
 
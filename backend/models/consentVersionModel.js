@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+// One immutable snapshot per consent change; version N holds the terms after change N
+const consentVersionSchema = new mongoose.Schema({
+  versionId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    immutable: true
+  },
+  consentId: {
+    type: String,
+    ref: 'Consent',
+    required: [true, 'Consent ID is required'],
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    immutable: true
+  },
+  changeType: {
+    type: String,
+    required: [true, 'Change type is required'],
+    enum: ['created', 'accepted', 'declined', 'amended', 'renewed', 'revoked', 'expired', 'baseline'],
+    immutable: true
+  },
+  // Consent terms as they stood after this change
+  terms: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Terms are required'],
+    immutable: true
+  },
+  // Fields that differ from the previous version
+  changes: {
+    type: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    immutable: true
+  },
+  actorType: {
+    type: String,
+    required: [true, 'Actor type is required'],
+    immutable: true
+  },
+  actorId: {
+    type: String,
+    required: [true, 'Actor ID is required'],
+    immutable: true
+  },
+  reason: {
+    type: String,
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  timestamps: false
+});
+
+// Versions are append-only
+const rejectChange = function(next) {
+  next(new Error('Consent versions are immutable'));
+};
+consentVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+consentVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+// Create indexes for performance
+consentVersionSchema.index({ consentId: 1, version: 1 }, { unique: true });
+
+const ConsentVersion = mongoose.model('ConsentVersion', consentVersionSchema);
+
+export default ConsentVersion;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+// In-app notification for a customer; also records delivery over other channels
+const customerNotificationSchema = new mongoose.Schema({
+  notificationId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true
+  },
+  customerId: {
+    type: String,
+    ref: 'Customer',
+    required: [true, 'Customer ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required']
+  },
+  consentId: String,
+  data: mongoose.Schema.Types.Mixed,
+  // One entry per external channel (email, sms, ...) the notification was sent over
+  deliveries: [{
+    _id: false,
+    channel: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped']
+    },
+    sentAt: Date,
+    error: String
+  }],
+  readAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for performance
+customerNotificationSchema.index({ customerId: 1, createdAt: -1 });
+
+const CustomerNotification = mongoose.model('CustomerNotification', customerNotificationSchema);
+
+export default CustomerNotification;
@@ -12,15 +12,25 @@ const dataRequestSchema = new mongoose.Schema({
     ref: 'Consent',
     required: [true, 'Consent ID is required']
   },
+  // Consent version whose terms authorised the request
+  consentVersion: Number,
   partnerId: { 
     type: String, 
     ref: 'Partner',
     required: [true, 'Partner ID is required']
   },
+  customerId: {
+    type: String,
+    ref: 'Customer'
+  },
   requestedFields: {
     type: [String],
     required: [true, 'At least one field must be requested']
   },
+  // Fields the customer record actually held and were shared
+  returnedFields: [String],
+  // Consent purpose at the time of the request
+  purpose: String,
   requestSignature: String,
   responseSignature: String,
   status: { 
@@ -41,6 +51,7 @@ dataRequestSchema.index({ consentId: 1 });
 dataRequestSchema.index({ partnerId: 1 });
 dataRequestSchema.index({ status: 1 });
 dataRequestSchema.index({ createdAt: 1 });
+dataRequestSchema.index({ customerId: 1, createdAt: -1 });
 
 const DataRequest = mongoose.model('DataRequest', dataRequestSchema);
 
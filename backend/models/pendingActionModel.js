@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+// A sensitive staff action proposed by one user and approved or rejected by another
+const pendingActionSchema = new mongoose.Schema({
+  actionId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true
+  },
+  actionType: {
+    type: String,
+    required: [true, 'Action type is required']
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required'],
+    enum: ['partner', 'customer']
+  },
+  targetId: {
+    type: String,
+    required: [true, 'Target ID is required']
+  },
+  // Parameters captured at proposal time; the approver signs off on exactly these
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'executing', 'executed', 'failed', 'rejected', 'cancelled', 'expired']
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Proposer is required']
+  },
+  proposedByRole: String,
+  proposalReason: {
+    type: String,
+    required: [true, 'A reason is required']
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedByRole: String,
+  decisionReason: String,
+  decidedAt: Date,
+  executedAt: Date,
+  // Summary returned by the action when it ran, or why it failed
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+pendingActionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Create indexes for performance
+pendingActionSchema.index({ status: 1, expiresAt: 1 });
+pendingActionSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+// At most one open proposal of each kind per target
+pendingActionSchema.index(
+  { actionType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const PendingAction = mongoose.model('PendingAction', pendingActionSchema);
+
+export default PendingAction;
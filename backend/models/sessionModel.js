@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+// A login session is one refresh token family: every refresh replaces currentTokenId
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // jti of the only refresh token in this family that may still be used
+  currentTokenId: {
+    type: String,
+    required: [true, 'Current token ID is required']
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    default: 'active',
+    enum: ['active', 'revoked']
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  deviceName: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Expiry of the current refresh token; expired sessions are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for performance
+sessionSchema.index({ userId: 1, status: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
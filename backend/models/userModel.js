@@ -1,6 +1,8 @@
 import mongoose, { Schema } from 'mongoose';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import tokenService from '../utils/tokenService.js';
+import { ROLES } from '../utils/permissions.js';
 
 const userSchema = new Schema({
   username: {
@@ -26,7 +28,7 @@ const userSchema = new Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'customer'],
+    enum: ROLES,
     default: 'customer'
   },
   partnerId: {
@@ -43,13 +45,56 @@ const userSchema = new Schema({
     type: Boolean,
     default: true
   },
+  deactivatedAt: Date,
+  // Set for accounts created through an admin invitation
+  invitedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: Date,
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // SHA-256 hash of the pending verification token
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   lastLogin: Date,
+  // Consecutive failed login attempts (password or two-factor code)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
-  refreshToken: {
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  // Encrypted base32 secret; set during enrolment before twoFactorEnabled is switched on
+  twoFactorSecret: {
     type: String,
-    select: false // Don't include in query results by default
+    select: false
+  },
+  // SHA-256 hashes of the unused backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
   }
 }, { 
   timestamps: true // Automatically adds createdAt and updatedAt fields
@@ -65,12 +110,13 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
-// Encrypt refresh token before saving
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('refreshToken') || !this.refreshToken) return next();
-  
-  const encrypted = await encryptionService.encryptField(this.refreshToken);
-  this.refreshToken = JSON.stringify(encrypted);
+// Record when an existing user's password changes so older tokens are rejected
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Backdate by a second so tokens issued right after the change stay valid
+  // (JWT iat has one-second resolution)
+  this.passwordChangedAt = Date.now() - 1000;
   next();
 });
 
@@ -91,42 +137,33 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
-// Generate Access Token
-userSchema.methods.generateAccessToken = function() {
-  return jwt.sign(
-    {
-      _id: this._id,
-      email: this.email,
-      username: this.username,
-      role: this.role,
-      partnerId: this.partnerId,
-      customerId: this.customerId
-    },
-    process.env.ACCESS_TOKEN_SECRET,
-    { 
-      expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '15m'
-    }
-  );
+// Create a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function(
+  expiryMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES || '30')
+) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = Date.now() + expiryMinutes * 60 * 1000;
+
+  return resetToken;
 };
 
-// Generate Refresh Token
-userSchema.methods.generateRefreshToken = function() {
-  return jwt.sign(
-    {
-      _id: this._id
-    },
-    process.env.REFRESH_TOKEN_SECRET,
-    {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d'
-    }
-  );
+// Create an email verification token, replacing any earlier one; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expiryHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS || '24');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = Date.now() + expiryHours * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
 };
 
-// Decrypt refresh token
-userSchema.methods.getDecryptedRefreshToken = async function() {
-  if (!this.refreshToken) return null;
-  const encryptedData = JSON.parse(this.refreshToken);
-  return await encryptionService.decryptField(encryptedData);
+// Generate Access Token for a session
+userSchema.methods.generateAccessToken = function(sessionId) {
+  return tokenService.issueAccessToken(this, sessionId);
 };
 
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true
+  },
+  partnerId: {
+    type: String,
+    ref: 'Partner',
+    required: [true, 'Partner ID is required']
+  },
+  callbackUrl: {
+    type: String,
+    required: [true, 'Callback URL is required']
+  },
+  eventType: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  // Headers other than the signature, which is created fresh for every attempt
+  headers: {
+    type: Map,
+    of: String
+  },
+  // Exact request body; kept as a string so every attempt sends identical bytes
+  body: {
+    type: String,
+    required: [true, 'Body is required']
+  },
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'delivering', 'delivered', 'dead_letter']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: [true, 'Max attempts is required']
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claim expiry so a delivery held by a crashed worker is picked up again
+  lockedUntil: Date,
+  lastAttemptAt: Date,
+  lastResponseStatus: Number,
+  lastLatencyMs: Number,
+  lastError: String,
+  // One entry per delivery attempt, most recent last
+  attemptLog: [{
+    _id: false,
+    attempt: Number,
+    attemptedAt: Date,
+    responseStatus: Number,
+    latencyMs: Number,
+    error: String
+  }],
+  deliveredAt: Date,
+  deadLetteredAt: Date,
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  // Who caused the notification (for audit logs)
+  actorType: {
+    type: String,
+    default: 'system'
+  },
+  actorId: {
+    type: String,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+webhookDeliverySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Create indexes for performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ partnerId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
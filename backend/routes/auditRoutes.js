@@ -1,7 +1,8 @@
 import express from 'express';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   getAuditLogs,
+  verifyAuditChain,
   getConsentAudit,
   getCustomerAudit,
   getPartnerAudit
@@ -12,16 +13,13 @@ const router = express.Router();
 // Protect all routes
 router.use(protect);
 
-// Admin only routes
-router.get('/logs', restrictTo('admin'), getAuditLogs);
+// Audit staff routes
+router.get('/logs', requirePermission('audit:read'), getAuditLogs);
+router.get('/verify', requirePermission('audit:verify'), verifyAuditChain);
 
-// Consent audit logs
+// Scoped audit logs: audit staff see everything, owners see a redacted view of their own
 router.get('/consents/:consentId', getConsentAudit);
-
-// Customer audit logs
 router.get('/customers/:customerId', getCustomerAudit);
-
-// Partner audit logs
 router.get('/partners/:partnerId', getPartnerAudit);
 
 export default router;
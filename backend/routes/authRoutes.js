@@ -1,20 +1,82 @@
 import express from 'express';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import {
   login,
   signup,
   logout,
   refreshToken,
-  verifyToken
+  verifyToken,
+  forgotPassword,
+  resetPassword,
+  loginTwoFactor,
+  setupLoginTwoFactor,
+  verifyEmail,
+  resendVerification
 } from '../controllers/authController.js';
+import {
+  getMySessions,
+  revokeMySession,
+  revokeAllMySessions,
+  forceLogoutUser
+} from '../controllers/sessionController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+} from '../controllers/twoFactorController.js';
+import {
+  getUsers,
+  getUser,
+  inviteUser,
+  assignRole,
+  revokeRole,
+  deactivateUser,
+  reactivateUser,
+  unlockUser
+} from '../controllers/userController.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/login/2fa/setup', setupLoginTwoFactor);
 router.post('/signup', signup);
-router.post('/logout', logout);
 router.post('/refresh-token', refreshToken);
 router.post('/verify-token', verifyToken);
+router.post('/forgot-password', forgotPassword);
+router.patch('/reset-password/:token', resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+
+// Protected routes
+router.post('/logout', protect, logout);
+router.post('/resend-verification', protect, resendVerification);
+
+// Session management
+router.route('/sessions')
+  .get(protect, getMySessions)
+  .delete(protect, revokeAllMySessions);
+router.delete('/sessions/:sessionId', protect, revokeMySession);
+
+// Two-factor authentication
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/verify', protect, enableTwoFactor);
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
+router.post('/2fa/disable', protect, disableTwoFactor);
+
+// User management (staff)
+router.get('/users', protect, requirePermission('users:read'), getUsers);
+router.post('/users/invite', protect, requirePermission('users:manage'), inviteUser);
+router.get('/users/:userId', protect, requirePermission('users:read'), getUser);
+router.route('/users/:userId/role')
+  .patch(protect, requirePermission('users:assign_roles'), assignRole)
+  .delete(protect, requirePermission('users:assign_roles'), revokeRole);
+router.patch('/users/:userId/deactivate', protect, requirePermission('users:manage'), deactivateUser);
+router.patch('/users/:userId/reactivate', protect, requirePermission('users:manage'), reactivateUser);
+router.post('/users/:userId/force-logout', protect, requirePermission('users:manage'), forceLogoutUser);
+router.post('/users/:userId/unlock', protect, requirePermission('users:unlock'), unlockUser);
 
 export default router;
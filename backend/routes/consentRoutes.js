@@ -1,10 +1,13 @@
 import express from 'express';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/authMiddleware.js';
 import {
   createConsent,
   getConsent,
   updateConsent,
   revokeConsent,
+  renewConsent,
+  getConsentVersions,
+  getConsentVersion,
   getCustomerConsents,
   getPartnerConsents,
   getAllConsents
@@ -15,8 +18,8 @@ const router = express.Router();
 // Protect all routes
 router.use(protect);
 
-// Admin routes
-router.get('/', restrictTo('admin'), getAllConsents);
+// Staff routes
+router.get('/', requirePermission('consents:read'), getAllConsents);
 
 // Routes for specific consent
 router.route('/:consentId')
@@ -26,8 +29,15 @@ router.route('/:consentId')
 // Revoke consent
 router.post('/:consentId/revoke', revokeConsent);
 
+// Renew consent for a new term
+router.post('/:consentId/renew', requireVerifiedEmail, renewConsent);
+
+// Version history
+router.get('/:consentId/versions', getConsentVersions);
+router.get('/:consentId/versions/:version', getConsentVersion);
+
 // Create new consent
-router.post('/', createConsent);
+router.post('/', requireVerifiedEmail, createConsent);
 
 // Get consents for a customer
 router.get('/customer/:customerId', getCustomerConsents);
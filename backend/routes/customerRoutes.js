@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/authMiddleware.js';
 import {
   createCustomer,
   getCustomer,
@@ -7,8 +7,16 @@ import {
   deleteCustomer,
   getAllCustomers,
   createMyProfile,
-  getMyProfile
+  getMyProfile,
+  getMyAccessHistory,
+  getMyNotifications,
+  markMyNotificationRead
 } from '../controllers/customerController.js';
+import {
+  getMyConsentRequests,
+  acceptConsentRequest,
+  declineConsentRequest
+} from '../controllers/consentController.js';
 
 const router = express.Router();
 
@@ -17,18 +25,24 @@ router.use(protect);
 
 // Customer routes - allows customers to manage their own profiles
 router.route('/my-profile')
-  .post(restrictTo('customer'), createMyProfile)
-  .get(restrictTo('customer'), getMyProfile);
+  .post(requirePermission('profile:manage_own'), requireVerifiedEmail, createMyProfile)
+  .get(requirePermission('profile:manage_own'), getMyProfile);
+router.get('/my-profile/access-history', requirePermission('profile:manage_own'), getMyAccessHistory);
+router.get('/my-profile/notifications', requirePermission('profile:manage_own'), getMyNotifications);
+router.patch('/my-profile/notifications/:notificationId/read', requirePermission('profile:manage_own'), markMyNotificationRead);
+router.get('/my-profile/consent-requests', requirePermission('profile:manage_own'), getMyConsentRequests);
+router.post('/my-profile/consent-requests/:consentId/accept', requirePermission('profile:manage_own'), requireVerifiedEmail, acceptConsentRequest);
+router.post('/my-profile/consent-requests/:consentId/decline', requirePermission('profile:manage_own'), declineConsentRequest);
 
-// Admin only routes
+// Staff routes
 router.route('/')
-  .get(restrictTo('admin'), getAllCustomers)
-  .post(restrictTo('admin'), createCustomer);
+  .get(requirePermission('customers:read'), getAllCustomers)
+  .post(requirePermission('customers:write'), createCustomer);
 
-// Admin only routes for specific customer
+// Staff routes for specific customer
 router.route('/:customerId')
-  .get(restrictTo('admin'), getCustomer)
-  .put(restrictTo('admin'), updateCustomer)
-  .delete(restrictTo('admin'), deleteCustomer);
+  .get(requirePermission('customers:read'), getCustomer)
+  .put(requirePermission('customers:write'), updateCustomer)
+  .delete(requirePermission('customers:delete'), deleteCustomer);
 
 export default router;
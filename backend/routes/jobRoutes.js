@@ -0,0 +1,15 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { getJobs, getJob, runJob } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+// Scheduled job status for staff dashboards
+router.get('/', requirePermission('jobs:read'), getJobs);
+router.get('/:jobName', requirePermission('jobs:read'), getJob);
+router.post('/:jobName/run', requirePermission('jobs:run'), runJob);
+
+export default router;
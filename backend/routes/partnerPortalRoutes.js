@@ -0,0 +1,30 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { requirePartnerAccount } from '../middleware/partnerProtect.js';
+import {
+  getPortalPartner,
+  getPortalContract,
+  getPortalDataRequests,
+  getPortalKeys,
+  updatePortalCallbackUrl
+} from '../controllers/partnerPortalController.js';
+import { getPartnerConsents } from '../controllers/partnerController.js';
+import { getMyDeliveries } from '../controllers/deliveryController.js';
+
+const router = express.Router();
+
+/**
+ * Self-service portal for a partner's staff (JWT login with the partner role).
+ * Shares the partner API handlers, which read req.partner.
+ */
+router.use(protect, requirePartnerAccount);
+
+router.get('/', requirePermission('partner_portal:read'), getPortalPartner);
+router.get('/contract', requirePermission('partner_portal:read'), getPortalContract);
+router.get('/consents', requirePermission('partner_portal:read'), getPartnerConsents);
+router.get('/data-requests', requirePermission('partner_portal:read'), getPortalDataRequests);
+router.get('/deliveries', requirePermission('partner_portal:read'), getMyDeliveries);
+router.get('/keys', requirePermission('partner_portal:read'), getPortalKeys);
+router.put('/callback-url', requirePermission('partner_portal:manage'), updatePortalCallbackUrl);
+
+export default router;
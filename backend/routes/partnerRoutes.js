@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import { partnerProtect } from '../middleware/partnerProtect.js'; // ✅ You already have this!
 
 import {
@@ -8,16 +8,38 @@ import {
   updatePartner,
   getAllPartners,
   updatePartnerKey,
+  suspendPartner,
   partnerDataRequest,
+  createConsentRequest,
   getPartnerConsents,
   approvePartnerContract,
   getPendingContractPartners,
   getApprovedPartners,
   getPartnerContract
 } from '../controllers/partnerController.js';
+import {
+  getPartnerDeliveries,
+  getPartnerDelivery,
+  replayPartnerDelivery,
+  getMyDeliveries,
+  redeliverMyDelivery
+} from '../controllers/deliveryController.js';
+import { getPartnerAudit } from '../controllers/auditController.js';
 
 const router = express.Router();
 
+/**
+ * Partner endpoints (protected with your custom partnerProtect middleware)
+ * These are for partners sending partnerId + API token, no JWT.
+ * Registered first so paths like /consents are not captured by /:partnerId below.
+ */
+router.post('/data-request', partnerProtect, partnerDataRequest);
+router.get('/consents', partnerProtect, getPartnerConsents);
+router.post('/consent-requests', partnerProtect, createConsentRequest);
+router.get('/deliveries', partnerProtect, getMyDeliveries);
+router.post('/deliveries/:deliveryId/redeliver', partnerProtect, redeliverMyDelivery);
+router.get('/audit', partnerProtect, getPartnerAudit);
+
 // Customer-accessible route to get approved partners for selection
 router.get('/approved', protect, getApprovedPartners);
 
@@ -26,25 +48,24 @@ router.get('/:partnerId/contract', protect, getPartnerContract);
 
 
 // New admin routes for contract management
-router.get('/pending-contracts', protect, restrictTo('admin'), getPendingContractPartners);
-router.post('/:partnerId/contract/approve', protect, restrictTo('admin'), approvePartnerContract);
+router.get('/pending-contracts', protect, requirePermission('partners:read'), getPendingContractPartners);
+router.post('/:partnerId/contract/approve', protect, requirePermission('contracts:approve'), approvePartnerContract);
 
 /**
  * Admin-only endpoints (protected with JWT-based protect middleware)
  * These require login with username/password and receive JWT.
  */
 // Only apply protect middleware to admin routes, not all routes
-router.get('/', protect, restrictTo('admin'), getAllPartners);
-router.post('/register', protect, registerPartner);
-router.get('/:partnerId', protect, getPartner);
-router.put('/:partnerId', protect, updatePartner);
-router.post('/:partnerId/keys', protect, updatePartnerKey);
+router.get('/', protect, requirePermission('partners:read'), getAllPartners);
+router.post('/register', protect, requirePermission('partners:manage'), registerPartner);
+router.get('/:partnerId', protect, requirePermission('partners:read'), getPartner);
+router.put('/:partnerId', protect, requirePermission('partners:manage'), updatePartner);
+router.post('/:partnerId/keys', protect, requirePermission('partners:manage'), updatePartnerKey);
+router.post('/:partnerId/suspend', protect, requirePermission('partners:manage'), suspendPartner);
 
-/**
- * Partner endpoints (protected with your custom partnerProtect middleware)
- * These are for partners sending partnerId + API token, no JWT.
- */
-router.post('/data-request', partnerProtect, partnerDataRequest);
-router.get('/consents', partnerProtect, getPartnerConsents);
+// Admin webhook delivery outbox
+router.get('/:partnerId/deliveries', protect, requirePermission('deliveries:read'), getPartnerDeliveries);
+router.get('/:partnerId/deliveries/:deliveryId', protect, requirePermission('deliveries:read'), getPartnerDelivery);
+router.post('/:partnerId/deliveries/:deliveryId/replay', protect, requirePermission('deliveries:replay'), replayPartnerDelivery);
 
 export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  getPendingActions,
+  getPendingAction,
+  approvePendingAction,
+  rejectPendingAction,
+  cancelPendingAction
+} from '../controllers/pendingActionController.js';
+
+const router = express.Router();
+
+// Protect all routes; deciding also needs the permission of the action itself
+router.use(protect, requirePermission('pending_actions:read'));
+
+router.get('/', getPendingActions);
+router.get('/:actionId', getPendingAction);
+router.post('/:actionId/approve', approvePendingAction);
+router.post('/:actionId/reject', rejectPendingAction);
+router.post('/:actionId/cancel', cancelPendingAction);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { getJwks, getSigningKeysPem } from '../controllers/keyController.js';
+
+const router = express.Router();
+
+// Public routes - partners fetch these to verify bank signatures
+router.get('/jwks.json', getJwks);
+router.get('/signing-keys.json', getSigningKeysPem);
+
+export default router;
@@ -10,7 +10,16 @@ import customerRoutes from './routes/customerRoutes.js';
 import consentRoutes from './routes/consentRoutes.js';
 import partnerRoutes from './routes/partnerRoutes.js';
 import auditRoutes from './routes/auditRoutes.js';
+import pendingActionRoutes from './routes/pendingActionRoutes.js';
+import partnerPortalRoutes from './routes/partnerPortalRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import wellKnownRoutes from './routes/wellKnownRoutes.js';
 import { errorHandler } from './middleware/errorMiddleware.js';
+import webhookDeliveryService from './utils/webhookDeliveryService.js';
+import consentExpiryService from './utils/consentExpiryService.js';
+import consentReminderService from './utils/consentReminderService.js';
+import mailService from './utils/mailService.js';
+import smsService from './utils/smsService.js';
 
 // Load environment variables
 dotenv.config();
@@ -49,6 +58,10 @@ app.use('/api/v1/customers', customerRoutes);
 app.use('/api/v1/consents', consentRoutes);
 app.use('/api/v1/partners', partnerRoutes);
 app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/pending-actions', pendingActionRoutes);
+app.use('/api/v1/partner-portal', partnerPortalRoutes);
+app.use('/api/v1/jobs', jobRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -61,10 +74,26 @@ app.use(errorHandler);
 // Connect to MongoDB and start server
 const PORT = process.env.PORT || 5000; // Using port 5000 as specified
 
+// Password reset and verification links must not end up in the logs of a misconfigured deploy
+try {
+  mailService.assertConfigured();
+  const notificationChannels = (process.env.CUSTOMER_NOTIFICATION_CHANNELS || '').split(',').map(channel => channel.trim());
+  if (notificationChannels.includes('sms')) smsService.assertConfigured();
+} catch (error) {
+  console.error('Message delivery is not configured:', error.message);
+  process.exit(1);
+}
+
 mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB');
+    // Start delivering queued partner callbacks
+    webhookDeliveryService.start();
+    // Expire consents past their expiry date
+    consentExpiryService.start();
+    // Remind customers before their consents expire
+    consentReminderService.start();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`API Base URL for partners: ${process.env.API_BASE_URL}`);
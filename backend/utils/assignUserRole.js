@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/userModel.js';
+import auditService from './auditService.js';
+import { ROLES } from './permissions.js';
+
+// Load environment variables
+dotenv.config();
+
+// Assign a role from the command line, e.g. to create the first super_admin:
+//   npm run assign-role -- admin@bank.example super_admin
+async function assignUserRole(email, role) {
+  if (!email || !ROLES.includes(role)) {
+    return { success: false, message: `Usage: npm run assign-role -- <email> <${ROLES.join('|')}>` };
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return { success: false, message: `User not found: ${email}` };
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await auditService.logEvent({
+      eventType: 'user_role_changed',
+      actorType: 'system',
+      actorId: 'system',
+      actionDetails: {
+        userId: user._id,
+        email: user.email,
+        previousRole,
+        newRole: role,
+        reason: 'Assigned from the command line'
+      }
+    });
+
+    return { success: true, email: user.email, previousRole, role };
+  } catch (error) {
+    return { success: false, message: error.message };
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+const [email, role] = process.argv.slice(2);
+
+assignUserRole(email, role)
+  .then(result => {
+    console.log('\nRESULT:');
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Script error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+import Consent from '../models/consentModel.js';
+import { hasPermission } from './permissions.js';
+
+/**
+ * Who may read which audit entries.
+ * Audit staff (`audit:read`) see everything in full; customers and partners see
+ * only entries about themselves, in a redacted view without internal metadata.
+ */
+
+// Top-level actionDetails keys that describe bank internals rather than the event
+const INTERNAL_DETAIL_KEYS = [
+  'ip',
+  'ipAddress',
+  'userAgent',
+  'responseBody',
+  'callbackUrl',
+  'proposedBy',
+  'sessionId',
+  'error'
+];
+
+/**
+ * Decide whether a user may read the audit trail of a customer, consent or partner
+ * @param {Object} user - Authenticated user (or partner from partnerProtect)
+ * @param {string} scope - 'customer', 'consent' or 'partner'
+ * @param {string} id - ID of the customer, consent or partner
+ * @returns {Promise<Object>} - { allowed, redacted, found }
+ */
+export const resolveAuditAccess = async (user, scope, id) => {
+  if (hasPermission(user, 'audit:read')) {
+    return { allowed: true, redacted: false, found: true };
+  }
+
+  const isCustomer = (customerId) =>
+    user.role === 'customer' && Boolean(user.customerId) && user.customerId === customerId;
+  const isPartner = (partnerId) =>
+    user.role === 'partner' && Boolean(user.partnerId) && user.partnerId === partnerId;
+
+  if (scope === 'customer') {
+    return { allowed: isCustomer(id), redacted: true, found: true };
+  }
+
+  if (scope === 'partner') {
+    return { allowed: isPartner(id), redacted: true, found: true };
+  }
+
+  if (scope === 'consent') {
+    const consent = await Consent.findOne({ consentId: id }).select('customerId partnerId');
+    if (!consent) {
+      return { allowed: false, redacted: true, found: false };
+    }
+    return {
+      allowed: isCustomer(consent.customerId) || isPartner(consent.partnerId),
+      redacted: true,
+      found: true
+    };
+  }
+
+  return { allowed: false, redacted: true, found: true };
+};
+
+/**
+ * Audit entry as shown to customers and partners: no request metadata, chain
+ * internals or actor user IDs
+ * @param {Object} log - AuditLog document
+ * @returns {Object}
+ */
+export const redactAuditLog = (log) => {
+  const actionDetails = { ...(log.actionDetails || {}) };
+  for (const key of INTERNAL_DETAIL_KEYS) {
+    delete actionDetails[key];
+  }
+
+  return {
+    logId: log.logId,
+    eventType: log.eventType,
+    // Actors are identified by type only; user IDs stay internal
+    actorType: log.actorType,
+    consentId: log.consentId,
+    customerId: log.customerId,
+    partnerId: log.partnerId,
+    actionDetails,
+    createdAt: log.createdAt
+  };
+};
@@ -1,9 +1,46 @@
+import crypto from 'crypto';
 import AuditLog from '../models/auditLogModel.js';
 import signatureService from './signatureService.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// previousHash of the very first entry in the chain
+export const GENESIS_HASH = '0'.repeat(64);
+
+// How often an append is retried when another writer claimed the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Serialise a value with object keys sorted so the hash does not depend on key order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Reduce to plain JSON so the stored document hashes the same after a round trip through MongoDB
+const toPlainJson = (value) => JSON.parse(JSON.stringify(value ?? {}));
+
 class AuditService {
-  async logEvent({
+  constructor() {
+    // Tail of the in-process write queue; every append waits for the previous one
+    this.writeQueue = Promise.resolve();
+  }
+
+  logEvent(event) {
+    const write = this.writeQueue.then(() => this.appendEvent(event));
+    // Keep the queue moving even if this write fails
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async appendEvent({
     eventType,
     actorType,
     actorId,
@@ -13,72 +50,190 @@ class AuditService {
     actionDetails = {},
     metadata = {}
   }) {
-    // Simple console log instead of database storage to bypass any MongoDB issues
-    console.log('AUDIT LOG EVENT:', {
-      timestamp: new Date().toISOString(),
-      eventType,
-      actorType,
-      actorId: String(actorId),
-      consentId,
-      customerId,
-      partnerId,
-      actionDetails,
-      metadata
-    });
-    
-    // Return a mock audit log object to satisfy the API
-    return {
+    const entry = {
       logId: uuidv4(),
       eventType,
       actorType,
       actorId: String(actorId),
-      timestamp: new Date().toISOString()
+      consentId: consentId === null ? null : String(consentId),
+      customerId: customerId === null ? null : String(customerId),
+      partnerId: partnerId === null ? null : String(partnerId),
+      actionDetails: toPlainJson(actionDetails),
+      metadata: toPlainJson(metadata)
     };
+
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const lastLog = await AuditLog.findOne()
+        .sort({ sequence: -1 })
+        .select('sequence eventHash');
+
+      entry.sequence = lastLog ? lastLog.sequence + 1 : 1;
+      entry.previousHash = lastLog ? lastLog.eventHash : GENESIS_HASH;
+      entry.createdAt = new Date();
+      entry.eventHash = this.calculateHash(this.getHashPayload(entry));
+      entry.digitalSignature = signatureService.signData(entry.eventHash);
+      entry.signingKeyId = signatureService.getActiveKeyId();
+
+      try {
+        return await AuditLog.create(entry);
+      } catch (error) {
+        // Another process appended first: rebuild on top of the new tail
+        if (error.code === 11000 && error.keyPattern?.sequence && attempt < MAX_APPEND_ATTEMPTS) {
+          continue;
+        }
+        console.error('Error writing audit log:', error);
+        throw new Error('Failed to write audit log');
+      }
+    }
   }
-  
+
+  // Fields covered by eventHash, in the shape they are stored
+  getHashPayload(log) {
+    return {
+      logId: log.logId,
+      sequence: log.sequence,
+      eventType: log.eventType,
+      actorType: log.actorType,
+      actorId: log.actorId,
+      consentId: log.consentId ?? null,
+      customerId: log.customerId ?? null,
+      partnerId: log.partnerId ?? null,
+      actionDetails: log.actionDetails ?? {},
+      metadata: log.metadata ?? {},
+      createdAt: new Date(log.createdAt).toISOString(),
+      previousHash: log.previousHash
+    };
+  }
+
   calculateHash(data) {
-    const crypto = require('crypto');
-    const dataString = typeof data === 'string' ? data : JSON.stringify(data);
+    const dataString = typeof data === 'string' ? data : canonicalize(data);
     return crypto.createHash('sha256').update(dataString).digest('hex');
   }
   
-  async verifyLogIntegrity(startId, endId) {
+  /**
+   * Walk the audit chain in sequence order and report every integrity problem found
+   * @param {Object} [range] - Optional bounds; with none the full chain is verified
+   * @param {number} [range.fromSequence] - First sequence number to check
+   * @param {number} [range.toSequence] - Last sequence number to check
+   * @param {Date} [range.startDate] - Only check entries created at or after this date
+   * @param {Date} [range.endDate] - Only check entries created at or before this date
+   * @param {number} [range.maxIssues] - Cap on entries listed per problem category
+   * @returns {Promise<Object>} - Tamper report
+   */
+  async verifyLogIntegrity({
+    fromSequence,
+    toSequence,
+    startDate,
+    endDate,
+    maxIssues = 100
+  } = {}) {
     try {
-      // Get the logs in order
-      const logs = await AuditLog.find({
-        logId: { $gte: startId, $lte: endId }
-      }).sort({ createdAt: 1 });
-      
-      if (logs.length === 0) return { valid: true, message: 'No logs to verify' };
-      
-      // Verify each log
-      for (let i = 1; i < logs.length; i++) {
-        const currentLog = logs[i];
-        const previousLog = logs[i - 1];
-        
-        // Verify the previous hash reference
-        if (currentLog.previousHash !== previousLog.eventHash) {
-          return {
-            valid: false,
-            message: `Chain broken between logs ${previousLog.logId} and ${currentLog.logId}`
+      const filter = {};
+      if (fromSequence !== undefined || toSequence !== undefined) {
+        filter.sequence = {};
+        if (fromSequence !== undefined) filter.sequence.$gte = fromSequence;
+        if (toSequence !== undefined) filter.sequence.$lte = toSequence;
+      }
+      if (startDate || endDate) {
+        filter.createdAt = {};
+        if (startDate) filter.createdAt.$gte = startDate;
+        if (endDate) filter.createdAt.$lte = endDate;
+      }
+
+      const report = {
+        valid: true,
+        message: 'Log chain integrity verified',
+        checkedEntries: 0,
+        range: { fromSequence: null, toSequence: null },
+        firstBrokenLink: null,
+        brokenLinks: [],
+        hashMismatches: [],
+        invalidSignatures: [],
+        gaps: []
+      };
+      const record = (category, issue) => {
+        report.valid = false;
+        if (report[category].length < maxIssues) report[category].push(issue);
+      };
+
+      let previousLog = null;
+      const cursor = AuditLog.find(filter).sort({ sequence: 1 }).cursor();
+
+      for await (const log of cursor) {
+        if (!previousLog) {
+          report.range.fromSequence = log.sequence;
+          // Anchor the first entry in the range to the one just before it
+          previousLog = log.sequence > 1
+            ? await AuditLog.findOne({ sequence: { $lt: log.sequence } }).sort({ sequence: -1 })
+            : null;
+          if (!previousLog && log.sequence > 1) {
+            record('gaps', { afterSequence: 0, beforeSequence: log.sequence, missing: log.sequence - 1 });
+          }
+        }
+
+        if (previousLog && log.sequence !== previousLog.sequence + 1) {
+          record('gaps', {
+            afterSequence: previousLog.sequence,
+            beforeSequence: log.sequence,
+            missing: log.sequence - previousLog.sequence - 1
+          });
+        }
+
+        const expectedPreviousHash = previousLog ? previousLog.eventHash : GENESIS_HASH;
+        if (log.previousHash !== expectedPreviousHash) {
+          const brokenLink = {
+            sequence: log.sequence,
+            logId: log.logId,
+            previousLogId: previousLog ? previousLog.logId : null,
+            expectedPreviousHash,
+            actualPreviousHash: log.previousHash
           };
+          if (!report.firstBrokenLink) report.firstBrokenLink = brokenLink;
+          record('brokenLinks', brokenLink);
+        }
+
+        const recomputedHash = this.calculateHash(this.getHashPayload(log));
+        if (recomputedHash !== log.eventHash) {
+          record('hashMismatches', {
+            sequence: log.sequence,
+            logId: log.logId,
+            storedHash: log.eventHash,
+            recomputedHash
+          });
+        }
+
+        let isSignatureValid = false;
+        try {
+          isSignatureValid = signatureService.verifyWithKeyId(
+            log.eventHash,
+            log.digitalSignature,
+            log.signingKeyId || undefined
+          );
+        } catch (error) {
+          isSignatureValid = false;
         }
-        
-        // Verify the signature
-        const isSignatureValid = signatureService.verifySignature(
-          currentLog.eventHash,
-          currentLog.digitalSignature
-        );
-        
         if (!isSignatureValid) {
-          return {
-            valid: false,
-            message: `Invalid signature for log ${currentLog.logId}`
-          };
+          record('invalidSignatures', {
+            sequence: log.sequence,
+            logId: log.logId,
+            signingKeyId: log.signingKeyId || null
+          });
         }
+
+        report.checkedEntries++;
+        report.range.toSequence = log.sequence;
+        previousLog = log;
       }
-      
-      return { valid: true, message: 'Log chain integrity verified' };
+
+      if (report.checkedEntries === 0) {
+        report.message = 'No logs to verify';
+      } else if (!report.valid) {
+        report.message = report.firstBrokenLink
+          ? `Chain broken at log ${report.firstBrokenLink.logId} (sequence ${report.firstBrokenLink.sequence})`
+          : 'Log chain integrity check failed';
+      }
+
+      return report;
     } catch (error) {
       console.error('Error verifying log integrity:', error);
       throw new Error('Failed to verify log integrity');
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/userModel.js';
+import auditService from './auditService.js';
+
+// Load environment variables
+dotenv.config();
+
+// Mark accounts created before email verification existed as verified, so
+// requireVerifiedEmail doesn't lock them out. Run once after upgrading:
+//   npm run backfill-email-verification
+async function backfillEmailVerification() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Accounts that went through signup since then always have a verification email on record
+    const filter = {
+      emailVerified: { $ne: true },
+      emailVerificationSentAt: null
+    };
+    const result = await User.updateMany(filter, { emailVerified: true, emailVerifiedAt: new Date() });
+    if (result.modifiedCount === 0) {
+      return { success: true, updated: 0 };
+    }
+
+    await auditService.logEvent({
+      eventType: 'email_verification_backfilled',
+      actorType: 'system',
+      actorId: 'system',
+      actionDetails: {
+        userCount: result.modifiedCount,
+        reason: 'Accounts created before email verification was introduced'
+      }
+    });
+
+    return { success: true, updated: result.modifiedCount };
+  } catch (error) {
+    return { success: false, message: error.message };
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+backfillEmailVerification()
+  .then(result => {
+    console.log('\nRESULT:');
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Script error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,126 @@
+import Consent from '../models/consentModel.js';
+import Partner from '../models/partnerModel.js';
+import auditService from './auditService.js';
+import consentVersionService from './consentVersionService.js';
+import { getSourceStatuses } from './consentStateMachine.js';
+import notificationService from './notificationService.js';
+import ScheduledJob from './scheduledJob.js';
+
+const getConfig = () => ({
+  intervalMs: parseInt(process.env.CONSENT_EXPIRY_INTERVAL_MS || '60000'),
+  batchSize: parseInt(process.env.CONSENT_EXPIRY_BATCH_SIZE || '100')
+});
+
+const SYSTEM_USER = { _id: 'system', role: 'system' };
+
+/**
+ * Scheduled sweep that moves active consents past their expiresAt to `expired`,
+ * audits each transition and tells the partner.
+ */
+class ConsentExpiryService extends ScheduledJob {
+  constructor() {
+    super('consent-expiry', () => getConfig().intervalMs);
+  }
+
+  /**
+   * Expire one consent, or an unanswered consent request, if it is still open
+   * @param {Object} consent - Consent document
+   * @param {Object} options - Expiry options
+   * @param {string} options.trigger - What noticed the expiry ('scheduler', 'data_request' or 'consent_request')
+   * @returns {Promise<Object|null>} - The expired consent, or null if another caller got there first
+   */
+  async expireConsent(consent, { trigger = 'scheduler' } = {}) {
+    // A pending consent is a partner request the customer never answered
+    const wasRequest = consent.status === 'pending';
+    const eventType = wasRequest ? 'consent_request_expired' : 'consent_expired';
+
+    // Only the caller that flips the status audits and notifies
+    const result = await consentVersionService.applyChange(consent, { status: 'expired' }, {
+      changeType: 'expired',
+      user: SYSTEM_USER,
+      reason: wasRequest
+        ? `Consent request was not answered in time (${trigger})`
+        : `Consent reached its expiry date (${trigger})`,
+      filter: { status: { $in: getSourceStatuses('expire') } }
+    });
+    if (!result) return null;
+
+    const { consent: expired, version } = result;
+
+    await auditService.logEvent({
+      eventType,
+      actorType: 'system',
+      actorId: 'system',
+      consentId: expired.consentId,
+      customerId: expired.customerId,
+      partnerId: expired.partnerId,
+      actionDetails: {
+        consentId: expired.consentId,
+        expiresAt: wasRequest ? expired.requestExpiresAt : expired.expiresAt,
+        trigger,
+        version: version.version
+      }
+    }).catch(err => console.error('Error logging consent expiry:', err));
+
+    const partner = await Partner.findOne({ partnerId: expired.partnerId }).select('callbackUrl status');
+    if (partner && partner.callbackUrl && partner.status === 'active') {
+      notificationService.notifyPartner({
+        partnerId: expired.partnerId,
+        callbackUrl: partner.callbackUrl,
+        eventType,
+        data: {
+          consentId: expired.consentId,
+          customerId: expired.customerId,
+          status: 'expired',
+          expiredAt: wasRequest ? expired.requestExpiresAt : expired.expiresAt
+        },
+        user: SYSTEM_USER
+      }).catch(error => {
+        console.error(`Failed to notify partner ${expired.partnerId} about consent expiry:`, error);
+      });
+    }
+
+    return expired;
+  }
+
+  /**
+   * Expire every active consent past its expiresAt and every consent request past its requestExpiresAt
+   * @returns {Promise<number>} - Number of consents expired
+   */
+  async execute() {
+    const { batchSize } = getConfig();
+    let expiredCount = 0;
+    // Consents tried this run; ones that couldn't be claimed (held by another
+    // instance or a pending version claim) or failed wait for the next run
+    const seen = [];
+
+    // Work in batches so a large backlog doesn't load every consent at once
+    for (;;) {
+      const now = new Date();
+      const due = await Consent.find({
+        _id: { $nin: seen },
+        $or: [
+          { status: 'active', expiresAt: { $lte: now } },
+          { status: 'pending', requestExpiresAt: { $lte: now } }
+        ]
+      })
+        .limit(batchSize);
+      if (due.length === 0) break;
+
+      for (const consent of due) {
+        seen.push(consent._id);
+        try {
+          if (await this.expireConsent(consent)) expiredCount += 1;
+        } catch (error) {
+          // One bad consent must not stop the rest of the sweep
+          console.error(`Error expiring consent ${consent.consentId}:`, error);
+        }
+      }
+      if (due.length < batchSize) break;
+    }
+
+    return expiredCount;
+  }
+}
+
+export default new ConsentExpiryService();
@@ -0,0 +1,112 @@
+import Consent from '../models/consentModel.js';
+import Partner from '../models/partnerModel.js';
+import auditService from './auditService.js';
+import customerNotificationService from './customerNotificationService.js';
+import ScheduledJob from './scheduledJob.js';
+
+const getConfig = () => ({
+  intervalMs: parseInt(process.env.CONSENT_REMINDER_INTERVAL_MS || String(15 * 60 * 1000)),
+  // Hours before expiresAt at which customers are reminded, e.g. 7 days and 1 day
+  windowsHours: (process.env.CONSENT_REMINDER_WINDOWS_HOURS || '168,24')
+    .split(',')
+    .map(hours => parseInt(hours))
+    .filter(hours => hours > 0)
+    .sort((a, b) => b - a)
+});
+
+// Human-readable time left, for reminder messages
+const describeTimeLeft = (ms) => {
+  const hours = Math.max(1, Math.round(ms / (60 * 60 * 1000)));
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.round(hours / 24)} days`;
+};
+
+/**
+ * Scheduled job that reminds customers before their consents expire.
+ * Each window is sent at most once per consent term; a consent that is already
+ * inside several windows gets a single reminder for the closest one.
+ */
+class ConsentReminderService extends ScheduledJob {
+  constructor() {
+    super('consent-reminders', () => getConfig().intervalMs);
+  }
+
+  /**
+   * Send the reminders that are due
+   * @returns {Promise<number>} - Number of reminders sent
+   */
+  async execute() {
+    const { windowsHours } = getConfig();
+    if (windowsHours.length === 0) return 0;
+
+    const now = new Date();
+    const smallestWindow = windowsHours[windowsHours.length - 1];
+    let sent = 0;
+
+    // Consents inside the largest window that have not had the final reminder yet
+    const cursor = Consent.find({
+      status: 'active',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + windowsHours[0] * 60 * 60 * 1000) },
+      expiryRemindersSent: { $ne: smallestWindow }
+    }).cursor();
+
+    for await (const consent of cursor) {
+      const timeLeft = consent.expiresAt.getTime() - now.getTime();
+      const due = windowsHours.filter(hours =>
+        timeLeft <= hours * 60 * 60 * 1000 && !consent.expiryRemindersSent.includes(hours)
+      );
+      if (due.length === 0) continue;
+
+      // Claim the windows first so two instances never remind twice
+      const claimed = await Consent.findOneAndUpdate(
+        { _id: consent._id, status: 'active', expiryRemindersSent: { $nin: due } },
+        { $addToSet: { expiryRemindersSent: { $each: due } } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      await this.sendReminder(claimed, Math.min(...due), timeLeft);
+      sent += 1;
+    }
+
+    return sent;
+  }
+
+  async sendReminder(consent, windowHours, timeLeft) {
+    const partner = await Partner.findOne({ partnerId: consent.partnerId }).select('partnerName');
+    const partnerName = partner?.partnerName || consent.partnerId;
+
+    const notification = await customerNotificationService.notify({
+      customerId: consent.customerId,
+      type: 'consent_expiry_reminder',
+      title: `Your consent for ${partnerName} expires soon`,
+      message: `Your consent allowing ${partnerName} to access your data for "${consent.purpose}" ` +
+        `expires in ${describeTimeLeft(timeLeft)} (${consent.expiresAt.toISOString()}). ` +
+        'Renew it in the app if you want the partner to keep access.',
+      consentId: consent.consentId,
+      data: {
+        partnerId: consent.partnerId,
+        expiresAt: consent.expiresAt,
+        windowHours
+      }
+    });
+
+    await auditService.logEvent({
+      eventType: 'consent_expiry_reminder_sent',
+      actorType: 'system',
+      actorId: 'system',
+      consentId: consent.consentId,
+      customerId: consent.customerId,
+      partnerId: consent.partnerId,
+      actionDetails: {
+        consentId: consent.consentId,
+        notificationId: notification.notificationId,
+        windowHours,
+        expiresAt: consent.expiresAt,
+        channels: notification.deliveries.map(({ channel, status }) => ({ channel, status }))
+      }
+    }).catch(err => console.error('Error logging consent reminder:', err));
+  }
+}
+
+export default new ConsentReminderService();
@@ -0,0 +1,86 @@
+// Create an error response
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Legal consent status transitions and the operation that performs each.
+ * pending → active → revoked/expired; a pending request may also be declined
+ * or lapse. Renewal starts a new term for an active or expired consent.
+ * Revoked and declined are final. Anything not listed is rejected.
+ */
+export const CONSENT_TRANSITIONS = {
+  pending: { active: 'accept', declined: 'decline', revoked: 'revoke', expired: 'expire' },
+  active: { active: 'renew', revoked: 'revoke', expired: 'expire' },
+  expired: { active: 'renew' },
+  revoked: {},
+  declined: {}
+};
+
+// Statuses whose terms may still be narrowed
+export const AMENDABLE_STATUSES = ['pending', 'active'];
+
+/**
+ * Statuses an operation may start from
+ * @param {string} operation - 'accept', 'decline', 'revoke', 'renew' or 'expire'
+ * @returns {Array<string>}
+ */
+export const getSourceStatuses = (operation) =>
+  Object.keys(CONSENT_TRANSITIONS).filter(from =>
+    Object.values(CONSENT_TRANSITIONS[from]).includes(operation)
+  );
+
+/**
+ * Check that an operation may move a consent to a status
+ * @param {string} from - Current consent status
+ * @param {string} to - Requested status
+ * @param {string} operation - Operation being performed
+ * @throws {Error} - 409 if the transition is not allowed
+ */
+export const assertTransition = (from, to, operation) => {
+  if (CONSENT_TRANSITIONS[from]?.[to] !== operation) {
+    throw createError(
+      409,
+      from === to
+        ? `Consent is already ${from}`
+        : `Consent cannot move from ${from} to ${to}`
+    );
+  }
+};
+
+/**
+ * Check that an amendment only narrows what the consent allows.
+ * Widening the terms needs a new consent or a renewal under the partner's contract.
+ * @param {Object} consent - Consent document before the change
+ * @param {Object} update - Field updates (allowedDataFields, purpose, retentionPeriod, expiresAt)
+ * @throws {Error} - 400 for malformed fields, 409 if the consent cannot be amended or the change widens it
+ */
+export const assertAmendment = (consent, update) => {
+  if (!AMENDABLE_STATUSES.includes(consent.status)) {
+    throw createError(409, `Consents that are ${consent.status} cannot be amended`);
+  }
+
+  if (update.allowedDataFields !== undefined) {
+    if (!Array.isArray(update.allowedDataFields) || update.allowedDataFields.length === 0) {
+      throw createError(400, 'allowedDataFields must be a non-empty array');
+    }
+    const addedFields = update.allowedDataFields.filter(field => !consent.allowedDataFields.includes(field));
+    if (addedFields.length > 0) {
+      throw createError(409, `Fields can only be removed from a consent, not added: ${addedFields.join(', ')}`);
+    }
+  }
+
+  if (update.purpose !== undefined && update.purpose !== consent.purpose) {
+    throw createError(409, 'The purpose is set by the partner\'s contract and cannot be changed');
+  }
+
+  if (update.retentionPeriod !== undefined && update.retentionPeriod > consent.retentionPeriod) {
+    throw createError(409, 'The retention period can only be shortened');
+  }
+
+  if (update.expiresAt !== undefined && update.expiresAt > consent.expiresAt) {
+    throw createError(409, 'The consent term can only be shortened. Renew the consent to extend it');
+  }
+};
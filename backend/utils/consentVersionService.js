@@ -0,0 +1,199 @@
+import Consent from '../models/consentModel.js';
+import ConsentVersion from '../models/consentVersionModel.js';
+
+// Consent fields captured in each version
+const TERM_FIELDS = [
+  'allowedDataFields',
+  'purpose',
+  'retentionPeriod',
+  'legalBasis',
+  'contractId',
+  'contractText',
+  'consentDuration',
+  'expiresAt',
+  'status'
+];
+
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Immutable version history for consents.
+ * Every change goes through applyChange(), which bumps Consent.version with an
+ * optimistic check and appends a ConsentVersion holding the new terms and a diff.
+ */
+class ConsentVersionService {
+  /**
+   * Snapshot of a consent's terms
+   * @param {Object} consent - Consent document
+   * @returns {Object}
+   */
+  getTerms(consent) {
+    return Object.fromEntries(TERM_FIELDS.map(field => [field, toPlain(consent[field])]));
+  }
+
+  /**
+   * Fields that differ between two term snapshots
+   * @param {Object} previous - Terms before the change
+   * @param {Object} next - Terms after the change
+   * @returns {Array<Object>} - [{ field, from, to }]
+   */
+  diff(previous, next) {
+    return TERM_FIELDS
+      .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+      .map(field => ({ field, from: previous[field], to: next[field] }));
+  }
+
+  // Matches the consent only while it is still at the version the caller read
+  getVersionFilter(consent) {
+    return {
+      _id: consent._id,
+      // Consents from before versioning have no stored version field
+      version: consent.version === 1 ? { $in: [1, null] } : consent.version
+    };
+  }
+
+  // Make sure the version a consent is at has a record, e.g. for consents from before versioning
+  async ensureCurrentVersion(consent) {
+    if (await ConsentVersion.exists({ consentId: consent.consentId, version: consent.version })) return;
+
+    try {
+      await ConsentVersion.create({
+        consentId: consent.consentId,
+        version: consent.version,
+        changeType: 'baseline',
+        terms: this.getTerms(consent),
+        changes: [],
+        actorType: 'system',
+        actorId: 'system',
+        reason: 'State before version history was recorded'
+      });
+    } catch (error) {
+      // Another change recorded the same baseline first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * A version was claimed but the consent never moved to it (the writer crashed in between).
+   * Once the claim is older than CONSENT_VERSION_CLAIM_TIMEOUT_MS the recorded terms are
+   * applied, so history and consent agree again. Only the terms are restored; other
+   * side effects of the interrupted change are not.
+   */
+  async recoverClaimedVersion(consent, versionNumber) {
+    const claimTimeoutMs = parseInt(process.env.CONSENT_VERSION_CLAIM_TIMEOUT_MS || '30000');
+    const claimed = await ConsentVersion.findOne({ consentId: consent.consentId, version: versionNumber });
+    if (!claimed || Date.now() - claimed.createdAt.getTime() < claimTimeoutMs) return;
+
+    await Consent.findOneAndUpdate(this.getVersionFilter(consent), {
+      ...Object.fromEntries(TERM_FIELDS.map(field => [field, claimed.terms[field]])),
+      version: versionNumber,
+      consentVersion: `v${versionNumber}.0`,
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Create a consent together with its first version.
+   * The version is written first, so a consent never exists without its history.
+   * @param {Object} fields - Consent fields
+   * @param {Object} options - Version options
+   * @param {Object} options.user - User creating the consent (or the requesting partner)
+   * @param {string} options.reason - Why the consent was created
+   * @returns {Promise<Object>} - The saved consent
+   */
+  async createConsent(fields, { user, reason }) {
+    const consent = new Consent(fields);
+    await consent.validate();
+
+    await ConsentVersion.create({
+      consentId: consent.consentId,
+      version: consent.version,
+      changeType: 'created',
+      terms: this.getTerms(consent),
+      changes: [],
+      actorType: user.role,
+      actorId: String(user._id),
+      reason
+    });
+
+    return consent.save();
+  }
+
+  /**
+   * Change a consent and record the new version.
+   * The new ConsentVersion is inserted before the consent is updated; the unique
+   * { consentId, version } index makes that insert the optimistic lock, so the
+   * history never misses a version the consent reached.
+   * @param {Object} consent - Consent document as the caller read it
+   * @param {Object} update - Field updates (plus an optional $inc)
+   * @param {Object} options - Change options
+   * @param {string} options.changeType - Version change type
+   * @param {Object} options.user - User making the change
+   * @param {string} options.reason - Why the change was made
+   * @param {Object} options.filter - Extra conditions the consent must still meet (e.g. { status: 'active' })
+   * @returns {Promise<Object|null>} - { consent, version }, or null if the consent changed in the meantime
+   */
+  async applyChange(consent, update, { changeType, user, reason, filter = {} }) {
+    const versionFilter = this.getVersionFilter(consent);
+    if (!await Consent.exists({ ...filter, ...versionFilter })) return null;
+
+    // Work out and validate the new terms before anything is written
+    const { $inc, ...fields } = update;
+    const next = Consent.hydrate(consent.toObject());
+    next.set(fields);
+    await next.validate(Object.keys(fields));
+
+    const previousTerms = this.getTerms(consent);
+    const terms = this.getTerms(next);
+    const nextVersion = consent.version + 1;
+
+    await this.ensureCurrentVersion(consent);
+
+    let version;
+    try {
+      version = await ConsentVersion.create({
+        consentId: consent.consentId,
+        version: nextVersion,
+        changeType,
+        terms,
+        changes: this.diff(previousTerms, terms),
+        actorType: user.role,
+        actorId: String(user._id),
+        reason
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Someone else claimed this version; repair the consent if their write never finished
+      await this.recoverClaimedVersion(consent, nextVersion);
+      return null;
+    }
+
+    const updated = await Consent.findOneAndUpdate(
+      versionFilter,
+      {
+        ...update,
+        version: nextVersion,
+        consentVersion: `v${nextVersion}.0`,
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+    if (!updated) {
+      // Only a writer bypassing this service can move the version under a claim
+      throw new Error(`Consent ${consent.consentId} changed outside version ${nextVersion} it was claimed for`);
+    }
+
+    return { consent: updated, version };
+  }
+
+  /**
+   * Full version history of a consent, oldest first
+   * @param {string} consentId - Consent ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async getHistory(consentId) {
+    return ConsentVersion.find({ consentId }).sort({ version: 1 });
+  }
+}
+
+export default new ConsentVersionService();
@@ -0,0 +1,121 @@
+import CustomerNotification from '../models/customerNotificationModel.js';
+import Customer from '../models/customerModel.js';
+import User from '../models/userModel.js';
+import encryptionService from './encryptionService.js';
+import mailService from './mailService.js';
+import smsService from './smsService.js';
+
+// External channels used in addition to the in-app record (comma-separated, may be empty)
+const getDefaultChannels = () =>
+  (process.env.CUSTOMER_NOTIFICATION_CHANNELS ?? 'email')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(Boolean);
+
+// Decrypt one of the customer's encrypted contact fields
+const decryptContact = async (value) => {
+  if (!value) return null;
+  try {
+    return await encryptionService.decryptField(JSON.parse(value));
+  } catch (error) {
+    console.error('Error decrypting customer contact field:', error);
+    return null;
+  }
+};
+
+/**
+ * Customer-facing notifications. Every notification is stored for the in-app
+ * inbox; it is then sent over each configured channel, recording the outcome.
+ * A channel is any object with `address(customerId)` and `send(address, notification)`.
+ */
+class CustomerNotificationService {
+  constructor() {
+    this.channels = new Map([
+      ['email', {
+        // The login email, falling back to the email on the customer profile
+        async address(customerId) {
+          const user = await User.findOne({ customerId }).select('email');
+          if (user?.email) return user.email;
+          const customer = await Customer.findById(customerId).select('encryptedEmail');
+          return decryptContact(customer?.encryptedEmail);
+        },
+        send: (to, notification) =>
+          mailService.sendMail({ to, subject: notification.title, text: notification.message })
+      }],
+      ['sms', {
+        async address(customerId) {
+          const customer = await Customer.findById(customerId).select('encryptedPhone');
+          return decryptContact(customer?.encryptedPhone);
+        },
+        send: (to, notification) =>
+          smsService.sendSms({ to, text: `${notification.title}: ${notification.message}` })
+      }]
+    ]);
+  }
+
+  /**
+   * Register a delivery channel
+   * @param {string} name - Name used in CUSTOMER_NOTIFICATION_CHANNELS
+   * @param {Object} channel - Object with async address(customerId) and send(address, notification)
+   */
+  registerChannel(name, channel) {
+    if (typeof channel?.address !== 'function' || typeof channel?.send !== 'function') {
+      throw new Error('Notification channel must implement address(customerId) and send(address, notification)');
+    }
+    this.channels.set(name, channel);
+  }
+
+  /**
+   * Notify a customer in-app and over the configured channels
+   * @param {Object} options - Notification options
+   * @param {string} options.customerId - Customer ID
+   * @param {string} options.type - Notification type (e.g., 'consent_expiry_reminder')
+   * @param {string} options.title - Short title (email subject)
+   * @param {string} options.message - Message body
+   * @param {string} options.consentId - Related consent, if any
+   * @param {Object} options.data - Extra structured data for the app
+   * @param {string[]} options.channels - External channels (default: CUSTOMER_NOTIFICATION_CHANNELS)
+   * @returns {Promise<Object>} - The stored notification
+   */
+  async notify({ customerId, type, title, message, consentId, data, channels = getDefaultChannels() }) {
+    const notification = await CustomerNotification.create({
+      customerId,
+      type,
+      title,
+      message,
+      consentId,
+      data
+    });
+
+    for (const name of channels) {
+      const channel = this.channels.get(name);
+      const delivery = { channel: name };
+
+      try {
+        if (!channel) throw new Error(`Unknown notification channel: ${name}`);
+
+        const address = await channel.address(customerId);
+        if (address) {
+          await channel.send(address, notification);
+          delivery.status = 'sent';
+          delivery.sentAt = new Date();
+        } else {
+          delivery.status = 'skipped';
+          delivery.error = 'No contact details on file';
+        }
+      } catch (error) {
+        console.error(`Error sending ${type} notification over ${name}:`, error);
+        delivery.status = 'failed';
+        delivery.error = error.message;
+      }
+
+      notification.deliveries.push(delivery);
+    }
+
+    if (notification.deliveries.length > 0) await notification.save();
+
+    return notification;
+  }
+}
+
+export default new CustomerNotificationService();
@@ -0,0 +1,162 @@
+import dotenv from 'dotenv';
+import User from '../models/userModel.js';
+import auditService from './auditService.js';
+
+dotenv.config();
+
+const getConfig = () => ({
+  maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5'),
+  lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15') * 60 * 1000,
+  delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS || '1000'),
+  delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS || '30000')
+});
+
+/**
+ * Per-account login throttling.
+ * Every failed password or two-factor attempt doubles the wait before the next
+ * attempt is accepted; reaching LOGIN_MAX_FAILED_ATTEMPTS locks the account.
+ */
+class LoginThrottleService {
+  // Wait required after this many consecutive failures
+  getDelayMs(failedAttempts) {
+    if (failedAttempts <= 0) return 0;
+    const { delayBaseMs, delayMaxMs } = getConfig();
+    return Math.min(delayBaseMs * 2 ** (failedAttempts - 1), delayMaxMs);
+  }
+
+  /**
+   * Check whether a login attempt may proceed for this account
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for audit metadata)
+   * @returns {Promise<Object>} - { allowed, locked, retryAfterSeconds }
+   */
+  async checkAttempt(user, req) {
+    const now = Date.now();
+
+    if (user.lockUntil) {
+      if (user.lockUntil.getTime() > now) {
+        return {
+          allowed: false,
+          locked: true,
+          retryAfterSeconds: Math.ceil((user.lockUntil.getTime() - now) / 1000)
+        };
+      }
+
+      // Lock has run out: start the account over with a clean counter
+      await this.unlock(user, null, req, 'lockout_expired');
+    }
+
+    if (user.lastFailedLoginAt) {
+      const nextAllowedAt = user.lastFailedLoginAt.getTime() + this.getDelayMs(user.failedLoginAttempts);
+      if (nextAllowedAt > now) {
+        return {
+          allowed: false,
+          locked: false,
+          retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000)
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failed attempt and lock the account once the limit is reached
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for audit metadata)
+   * @param {string} reason - What failed ('password' or 'two_factor')
+   * @returns {Promise<Object>} - { locked, failedLoginAttempts }
+   */
+  async recordFailure(user, req, reason) {
+    const { maxFailedAttempts, lockoutMs } = getConfig();
+    const now = new Date();
+
+    // $inc keeps the count right when attempts arrive in parallel
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+      { new: true }
+    );
+
+    if (!updated || updated.failedLoginAttempts < maxFailedAttempts) {
+      return { locked: false, failedLoginAttempts: updated?.failedLoginAttempts };
+    }
+
+    // Only the request that actually sets the lock writes the audit event
+    const lockUntil = new Date(now.getTime() + lockoutMs);
+    const locked = await User.findOneAndUpdate(
+      { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+      { lockUntil },
+      { new: true }
+    );
+
+    if (locked) {
+      await auditService.logEvent({
+        eventType: 'user_locked',
+        actorType: 'system',
+        actorId: 'system',
+        actionDetails: {
+          userId: user._id,
+          email: user.email,
+          failedLoginAttempts: updated.failedLoginAttempts,
+          lastFailure: reason,
+          lockUntil
+        },
+        metadata: { ip: req.ip, userAgent: req.get('user-agent') }
+      }).catch(err => console.error('Error logging account lock:', err));
+    }
+
+    return { locked: true, failedLoginAttempts: updated.failedLoginAttempts };
+  }
+
+  /**
+   * Clear the failure counter after a completed login
+   * @param {Object} user - User document (saved by the caller)
+   */
+  resetFailures(user) {
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+  }
+
+  /**
+   * Unlock an account and clear its failure counter
+   * @param {Object} user - User document
+   * @param {Object|null} actor - Admin unlocking the account, or null when the lock expired
+   * @param {Object} req - Express request (for audit metadata)
+   * @param {string} reason - Why the account was unlocked
+   * @returns {Promise<Object>} - The updated user
+   */
+  async unlock(user, actor, req, reason) {
+    const wasLocked = Boolean(user.lockUntil);
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { failedLoginAttempts: 0, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } },
+      { new: true }
+    );
+
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+
+    // Lock expiry is only worth recording if there was a lock; admin unlocks always are
+    if (wasLocked || actor) {
+      await auditService.logEvent({
+        eventType: 'user_unlocked',
+        actorType: actor ? actor.role : 'system',
+        actorId: actor ? actor._id : 'system',
+        actionDetails: {
+          userId: user._id,
+          email: user.email,
+          wasLocked,
+          reason
+        },
+        metadata: { ip: req.ip }
+      }).catch(err => console.error('Error logging account unlock:', err));
+    }
+
+    return updated;
+  }
+}
+
+export default new LoginThrottleService();
@@ -0,0 +1,46 @@
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { TransportRegistry } from './messageTransports.js';
+
+dotenv.config();
+
+/**
+ * Outgoing email. Real providers (SMTP, SES, ...) are added with
+ * `mailService.registerTransport()` and selected with MAIL_TRANSPORT;
+ * `console` and `file` (MAIL_OUTBOX_DIR) are for development only.
+ */
+class MailService extends TransportRegistry {
+  constructor() {
+    super({
+      label: 'mail',
+      transportEnv: 'MAIL_TRANSPORT',
+      outboxEnv: 'MAIL_OUTBOX_DIR',
+      defaultOutbox: 'mail-outbox',
+      formatForConsole: message => `To: ${message.to} | Subject: ${message.subject}\n${message.text}`
+    });
+  }
+
+  /**
+   * Send an email through the configured transport
+   * @param {Object} options - Message options
+   * @param {string} options.to - Recipient address
+   * @param {string} options.subject - Subject line
+   * @param {string} options.text - Plain text body
+   * @returns {Promise<Object>} - The message that was sent
+   */
+  async sendMail({ to, subject, text }) {
+    const message = {
+      messageId: uuidv4(),
+      from: process.env.MAIL_FROM || 'SecureShare <no-reply@secureshare.local>',
+      to,
+      subject,
+      text,
+      sentAt: new Date().toISOString()
+    };
+
+    await this.send(message);
+    return message;
+  }
+}
+
+export default new MailService();
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+
+// Built-in transports expose message bodies (reset and verification links), so they are for development only
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Pluggable delivery for outgoing messages (mail, SMS).
+ * A transport is any object with an async `send(message)` method; real
+ * providers are added with registerTransport() and picked by an environment variable.
+ * `console` (logs messages) and `file` (writes them as JSON to an outbox directory)
+ * are built in and refused when NODE_ENV is production.
+ */
+export class TransportRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.label - Name used in logs and errors (e.g. 'mail')
+   * @param {string} options.transportEnv - Variable selecting the transport (e.g. 'MAIL_TRANSPORT')
+   * @param {string} options.outboxEnv - Variable naming the file transport's directory
+   * @param {string} options.defaultOutbox - Directory name used when outboxEnv is not set
+   * @param {Function} options.formatForConsole - Renders a message for the console transport
+   */
+  constructor({ label, transportEnv, outboxEnv, defaultOutbox, formatForConsole }) {
+    this.label = label;
+    this.transportEnv = transportEnv;
+
+    this.transports = new Map([
+      ['console', {
+        async send(message) {
+          console.log(`[${label}] ${formatForConsole(message)}`);
+        }
+      }],
+      ['file', {
+        async send(message) {
+          const outboxDir = process.env[outboxEnv] || path.join(process.cwd(), defaultOutbox);
+          await fs.promises.mkdir(outboxDir, { recursive: true });
+          await fs.promises.writeFile(
+            path.join(outboxDir, `${Date.now()}-${message.messageId}.json`),
+            JSON.stringify(message, null, 2)
+          );
+        }
+      }]
+    ]);
+  }
+
+  /**
+   * Register a transport
+   * @param {string} name - Name used in the transport variable
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  registerTransport(name, transport) {
+    if (typeof transport?.send !== 'function') {
+      throw new Error(`${this.label} transport must implement send(message)`);
+    }
+    this.transports.set(name, transport);
+  }
+
+  getTransport() {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env[this.transportEnv] || (isProduction ? null : 'console');
+
+    if (!name) {
+      throw new Error(`${this.transportEnv} must be set in production`);
+    }
+    if (isProduction && DEVELOPMENT_TRANSPORTS.includes(name)) {
+      throw new Error(`${this.label} transport "${name}" exposes message contents and cannot be used in production`);
+    }
+
+    const transport = this.transports.get(name);
+    if (!transport) {
+      throw new Error(`Unknown ${this.label} transport: ${name}`);
+    }
+    return transport;
+  }
+
+  // Fail at startup rather than on the first message
+  assertConfigured() {
+    this.getTransport();
+  }
+
+  async send(message) {
+    await this.getTransport().send(message);
+  }
+}
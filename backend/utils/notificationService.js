@@ -1,6 +1,5 @@
-import fetch from 'node-fetch';
-import auditService from './auditService.js';
 import encryptionService from './encryptionService.js';
+import webhookDeliveryService from './webhookDeliveryService.js';
 import Customer from '../models/customerModel.js';
 
 /**
@@ -8,14 +7,14 @@ import Customer from '../models/customerModel.js';
  */
 const notificationService = {
   /**
-   * Send a notification to a partner's callback URL
+   * Queue a notification for a partner's callback URL
    * @param {Object} options - Notification options
    * @param {string} options.partnerId - Partner ID
    * @param {string} options.callbackUrl - Partner's callback URL
    * @param {string} options.eventType - Type of event (e.g., 'consent_created')
    * @param {Object} options.data - Data to send to the partner
    * @param {Object} options.user - User making the request (for audit logs)
-   * @returns {Promise<Object>} - Response from the partner's callback URL
+   * @returns {Promise<Object>} - Queueing result with the delivery ID
    */
   async notifyPartner(options) {
     const { partnerId, callbackUrl, eventType, data, user } = options;
@@ -34,70 +33,36 @@ const notificationService = {
         data
       };
 
-      // Send the notification to the partner's callback URL
-      console.log(`Attempting to send notification to ${callbackUrl}`);
+      console.log(`Queueing notification for ${callbackUrl}`);
       console.log(`Notification payload:`, JSON.stringify(notification, null, 2));
-      
-      const response = await fetch(callbackUrl, {
-        method: 'POST',
+
+      const delivery = await webhookDeliveryService.enqueue({
+        partnerId,
+        callbackUrl,
+        eventType,
         headers: {
           'Content-Type': 'application/json',
           'X-Event-Type': eventType,
+          'X-Partner-Id': partnerId
         },
         body: JSON.stringify(notification),
+        user
       });
-      
-      console.log(`Notification response status: ${response.status}`);
-    
-      // Check if the notification was successfully sent
-      const success = response.ok;
-      const responseData = await response.json().catch(() => ({}));
-
-      // Log the notification event
-      await auditService.logEvent({
-        eventType: 'partner_notification_sent',
-        actorType: user?.role || 'system',
-        actorId: user?._id || 'system',
-        partnerId,
-        actionDetails: {
-          eventType,
-          callbackUrl,
-          success,
-          responseStatus: response.status,
-        },
-        metadata: { 
-          responseBody: JSON.stringify(responseData).slice(0, 1000) // Truncate if too long
-        }
-      }).catch(err => console.error('Error logging notification:', err));
 
-      return { 
-        success, 
-        status: response.status, 
-        message: success ? 'Notification sent successfully' : 'Failed to send notification',
-        response: responseData
+      return {
+        success: true,
+        queued: true,
+        deliveryId: delivery.deliveryId,
+        message: 'Notification queued for delivery'
       };
     } catch (error) {
-      console.error(`Error notifying partner ${partnerId}:`, error);
-      
-      // Log the error
-      await auditService.logEvent({
-        eventType: 'partner_notification_failed',
-        actorType: user?.role || 'system',
-        actorId: user?._id || 'system',
-        partnerId,
-        actionDetails: {
-          eventType,
-          callbackUrl,
-          error: error.message
-        }
-      }).catch(err => console.error('Error logging notification failure:', err));
-      
+      console.error(`Error queueing notification for partner ${partnerId}:`, error);
       return { success: false, message: `Error: ${error.message}` };
     }
   },
 
   /**
-   * Send a contract status notification to a partner's callback URL
+   * Queue a contract status notification for a partner's callback URL
    * This is a specialized version of notifyPartner for contract events
    * @param {Object} options - Notification options
    * @param {string} options.partnerId - Partner ID
@@ -105,7 +70,7 @@ const notificationService = {
    * @param {string} options.eventType - Type of event (e.g., 'contract_approved')
    * @param {Object} options.data - Data to send to the partner including signature
    * @param {Object} options.user - User making the request (for audit logs)
-   * @returns {Promise<Object>} - Response from the partner's callback URL
+   * @returns {Promise<Object>} - Queueing result with the delivery ID
    */
   async notifyPartnerContractStatus(options) {
     const { partnerId, callbackUrl, eventType, data, user, publicKey } = options;
@@ -116,7 +81,7 @@ const notificationService = {
     }
 
     try {
-      console.log(`Attempting to send ${eventType} notification to ${callbackUrl}`);
+      console.log(`Queueing ${eventType} notification for ${callbackUrl}`);
       
       const notificationPayload = {
         eventType,
@@ -191,58 +156,24 @@ const notificationService = {
         body = JSON.stringify(notificationPayload);
         console.log(`Sending unencrypted ${eventType} notification for easier partner integration`);
       }
-      
-      const response = await fetch(callbackUrl, {
-        method: 'POST',
-        headers,
-        body
-      });
-      
-      console.log(`Contract notification response status: ${response.status}`);
-    
-      // Check if the notification was successfully sent
-      const success = response.ok;
-      const responseData = await response.json().catch(() => ({}));
 
-      // Log the notification event
-      await auditService.logEvent({
-        eventType: `partner_${eventType}_notification_sent`,
-        actorType: user?.role || 'system',
-        actorId: user?._id || 'system',
+      const delivery = await webhookDeliveryService.enqueue({
         partnerId,
-        actionDetails: {
-          eventType,
-          callbackUrl,
-          success,
-          responseStatus: response.status,
-        },
-        metadata: { 
-          responseBody: JSON.stringify(responseData).slice(0, 1000) // Truncate if too long
-        }
-      }).catch(err => console.error('Error logging notification:', err));
+        callbackUrl,
+        eventType,
+        headers,
+        body,
+        user
+      });
 
-      return { 
-        success, 
-        status: response.status, 
-        message: success ? 'Contract notification sent successfully' : 'Failed to send contract notification',
-        response: responseData
+      return {
+        success: true,
+        queued: true,
+        deliveryId: delivery.deliveryId,
+        message: 'Contract notification queued for delivery'
       };
     } catch (error) {
-      console.error(`Error notifying partner ${partnerId} about contract status:`, error);
-      
-      // Log the error
-      await auditService.logEvent({
-        eventType: `partner_${eventType}_notification_failed`,
-        actorType: user?.role || 'system',
-        actorId: user?._id || 'system',
-        partnerId,
-        actionDetails: {
-          eventType,
-          callbackUrl,
-          error: error.message
-        }
-      }).catch(err => console.error('Error logging notification failure:', err));
-      
+      console.error(`Error queueing ${eventType} notification for partner ${partnerId}:`, error);
       return { success: false, message: `Error: ${error.message}` };
     }
   },
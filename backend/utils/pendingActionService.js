@@ -0,0 +1,303 @@
+import PendingAction from '../models/pendingActionModel.js';
+import auditService from './auditService.js';
+import { hasPermission } from './permissions.js';
+
+// Create an error response
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getExpiryHours = () => parseInt(process.env.PENDING_ACTION_EXPIRY_HOURS || '48');
+
+/**
+ * Maker-checker (four-eyes) approval for sensitive staff actions.
+ * One staff member proposes an action with a reason; a different staff member
+ * holding the action's permission approves it (which runs it) or rejects it.
+ * Proposals that nobody decides on expire.
+ */
+class PendingActionService {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register an action that must go through approval
+   * @param {string} actionType - Action type (e.g., 'customer_deletion')
+   * @param {Object} handler - Action handler
+   * @param {string} handler.permission - Permission needed to propose, approve or reject it
+   * @param {string} handler.targetType - Kind of record the action changes ('partner' or 'customer')
+   * @param {Function} handler.execute - async (action, { user, req }) => result summary; runs on approval
+   */
+  registerAction(actionType, { permission, targetType, execute }) {
+    this.handlers.set(actionType, { permission, targetType, execute });
+  }
+
+  getHandler(actionType) {
+    const handler = this.handlers.get(actionType);
+    if (!handler) {
+      throw createError(400, `Unknown action type: ${actionType}`);
+    }
+    return handler;
+  }
+
+  getActionTypes() {
+    return [...this.handlers.keys()];
+  }
+
+  // Audit an event about the pending action itself
+  logActionEvent(eventType, action, user, req, actionDetails = {}) {
+    return auditService.logEvent({
+      eventType,
+      actorType: user ? user.role : 'system',
+      actorId: user ? user._id : 'system',
+      customerId: action.targetType === 'customer' ? action.targetId : undefined,
+      partnerId: action.targetType === 'partner' ? action.targetId : undefined,
+      actionDetails: {
+        actionId: action.actionId,
+        actionType: action.actionType,
+        targetType: action.targetType,
+        targetId: action.targetId,
+        proposedBy: action.proposedBy,
+        ...actionDetails
+      },
+      metadata: req ? { ip: req.ip } : {}
+    }).catch(err => console.error(`Error logging ${eventType}:`, err));
+  }
+
+  /**
+   * Mark proposals past their expiry as expired
+   * @param {Object} filter - Extra conditions (e.g., one target)
+   * @returns {Promise<number>} - Number of proposals expired
+   */
+  async expireStale(filter = {}) {
+    const stale = await PendingAction.find({
+      ...filter,
+      status: 'pending',
+      expiresAt: { $lte: new Date() }
+    });
+
+    let expired = 0;
+    for (const action of stale) {
+      // Only the caller that flips the status logs the event
+      const updated = await PendingAction.findOneAndUpdate(
+        { _id: action._id, status: 'pending' },
+        { status: 'expired', updatedAt: new Date() },
+        { new: true }
+      );
+      if (updated) {
+        expired += 1;
+        await this.logActionEvent('pending_action_expired', updated, null, null, {
+          expiresAt: updated.expiresAt
+        });
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Propose a sensitive action for a second staff member to approve
+   * @param {Object} options - Proposal options
+   * @param {string} options.actionType - Registered action type
+   * @param {string} options.targetId - ID of the partner or customer the action changes
+   * @param {Object} options.payload - Parameters the action will run with
+   * @param {string} options.reason - Why the action is needed
+   * @param {Object} options.user - Proposing user
+   * @param {Object} options.req - Express request (for audit metadata)
+   * @returns {Promise<Object>} - The pending action
+   */
+  async propose({ actionType, targetId, payload = {}, reason, user, req }) {
+    const handler = this.getHandler(actionType);
+
+    if (!hasPermission(user, handler.permission)) {
+      throw createError(403, 'You do not have permission to perform this action');
+    }
+    if (!reason || !String(reason).trim()) {
+      throw createError(400, 'A reason is required');
+    }
+
+    // An expired proposal must not block a fresh one for the same target
+    await this.expireStale({ actionType, targetId: String(targetId) });
+
+    let action;
+    try {
+      action = await PendingAction.create({
+        actionType,
+        targetType: handler.targetType,
+        targetId: String(targetId),
+        payload,
+        proposedBy: user._id,
+        proposedByRole: user.role,
+        proposalReason: String(reason).trim(),
+        expiresAt: new Date(Date.now() + getExpiryHours() * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, 'An identical action is already awaiting approval for this record');
+      }
+      throw error;
+    }
+
+    await this.logActionEvent('pending_action_proposed', action, user, req, {
+      reason: action.proposalReason,
+      payload,
+      expiresAt: action.expiresAt
+    });
+
+    return action;
+  }
+
+  /**
+   * Load a pending action, expiring it first if it is overdue
+   * @param {string} actionId - Action ID
+   * @returns {Promise<Object>} - The pending action
+   */
+  async getAction(actionId) {
+    await this.expireStale({ actionId });
+
+    const action = await PendingAction.findOne({ actionId });
+    if (!action) {
+      throw createError(404, 'No pending action found with that ID');
+    }
+    return action;
+  }
+
+  // Checks shared by approve and reject
+  assertCanDecide(action, user) {
+    const handler = this.getHandler(action.actionType);
+
+    if (action.status !== 'pending') {
+      throw createError(409, `Action is ${action.status} and can no longer be decided`);
+    }
+    if (!hasPermission(user, handler.permission)) {
+      throw createError(403, 'You do not have permission to decide on this action');
+    }
+    if (String(action.proposedBy) === String(user._id)) {
+      throw createError(403, 'A different staff member must decide on an action you proposed');
+    }
+
+    return handler;
+  }
+
+  // Move a pending action to a new status; fails if someone else decided first
+  async claim(action, update) {
+    const claimed = await PendingAction.findOneAndUpdate(
+      { _id: action._id, status: 'pending', expiresAt: { $gt: new Date() } },
+      { ...update, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw createError(409, 'Action is no longer pending');
+    }
+    return claimed;
+  }
+
+  /**
+   * Approve a pending action and run it
+   * @param {string} actionId - Action ID
+   * @param {Object} user - Approving user
+   * @param {string} reason - Optional approval note
+   * @param {Object} req - Express request (for audit metadata)
+   * @returns {Promise<Object>} - The executed action
+   */
+  async approve(actionId, user, reason, req) {
+    const action = await this.getAction(actionId);
+    const handler = this.assertCanDecide(action, user);
+
+    const claimed = await this.claim(action, {
+      status: 'executing',
+      decidedBy: user._id,
+      decidedByRole: user.role,
+      decisionReason: reason,
+      decidedAt: new Date()
+    });
+
+    let failure = null;
+    try {
+      claimed.result = await handler.execute(claimed, { user, req });
+      claimed.status = 'executed';
+      claimed.executedAt = new Date();
+    } catch (error) {
+      failure = error;
+      claimed.status = 'failed';
+      claimed.error = error.message;
+    }
+    await claimed.save();
+
+    await this.logActionEvent(
+      failure ? 'pending_action_failed' : 'pending_action_approved',
+      claimed,
+      user,
+      req,
+      { reason, result: claimed.result, error: claimed.error }
+    );
+
+    if (failure) {
+      throw createError(failure.statusCode || 500, `Action approved but could not be completed: ${failure.message}`);
+    }
+    return claimed;
+  }
+
+  /**
+   * Reject a pending action
+   * @param {string} actionId - Action ID
+   * @param {Object} user - Rejecting user
+   * @param {string} reason - Why the action was rejected
+   * @param {Object} req - Express request (for audit metadata)
+   * @returns {Promise<Object>} - The rejected action
+   */
+  async reject(actionId, user, reason, req) {
+    if (!reason || !String(reason).trim()) {
+      throw createError(400, 'A reason is required');
+    }
+
+    const action = await this.getAction(actionId);
+    this.assertCanDecide(action, user);
+
+    const rejected = await this.claim(action, {
+      status: 'rejected',
+      decidedBy: user._id,
+      decidedByRole: user.role,
+      decisionReason: String(reason).trim(),
+      decidedAt: new Date()
+    });
+
+    await this.logActionEvent('pending_action_rejected', rejected, user, req, {
+      reason: rejected.decisionReason
+    });
+
+    return rejected;
+  }
+
+  /**
+   * Withdraw your own proposal
+   * @param {string} actionId - Action ID
+   * @param {Object} user - Proposing user
+   * @param {Object} req - Express request (for audit metadata)
+   * @returns {Promise<Object>} - The cancelled action
+   */
+  async cancel(actionId, user, req) {
+    const action = await this.getAction(actionId);
+
+    if (String(action.proposedBy) !== String(user._id)) {
+      throw createError(403, 'Only the proposer can cancel an action');
+    }
+    if (action.status !== 'pending') {
+      throw createError(409, `Action is ${action.status} and can no longer be cancelled`);
+    }
+
+    const cancelled = await this.claim(action, {
+      status: 'cancelled',
+      decidedBy: user._id,
+      decidedByRole: user.role,
+      decidedAt: new Date()
+    });
+
+    await this.logActionEvent('pending_action_cancelled', cancelled, user, req);
+
+    return cancelled;
+  }
+}
+
+export default new PendingActionService();
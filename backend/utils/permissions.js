@@ -0,0 +1,123 @@
+/**
+ * Named permissions and the roles that grant them.
+ * Routes check permissions (`requirePermission`), never role names, so what a
+ * role may do is decided here alone.
+ */
+export const PERMISSIONS = {
+  'profile:manage_own': 'Create and view your own customer profile',
+  'partner_portal:read': 'View your own partner\'s contract, consents, data requests, deliveries and keys',
+  'partner_portal:manage': 'Update your own partner\'s callback URL',
+  'customers:read': 'List and view customer records (without PII)',
+  'customers:read_pii': 'View decrypted customer PII',
+  'customers:write': 'Create and update customer records',
+  'customers:delete': 'Delete customer records',
+  'consents:read': 'View any customer\'s consents',
+  'consents:manage': 'Create, update and revoke consents on behalf of customers',
+  'partners:read': 'View partners and pending contracts',
+  'partners:manage': 'Register partners and update their details and keys',
+  'contracts:approve': 'Approve partner contracts',
+  'pending_actions:read': 'View sensitive actions awaiting a second approver',
+  'deliveries:read': 'View partner webhook deliveries',
+  'deliveries:replay': 'Replay partner webhook deliveries',
+  'jobs:read': 'View scheduled job status',
+  'jobs:run': 'Run scheduled jobs on demand',
+  'audit:read': 'Read audit logs',
+  'audit:verify': 'Verify the audit log hash chain',
+  'users:read': 'List and view user accounts',
+  'users:manage': 'Invite, deactivate, reactivate and force-logout users',
+  'users:unlock': 'Unlock accounts locked by failed logins',
+  'users:assign_roles': 'Assign roles and manage staff accounts'
+};
+
+export const ROLE_PERMISSIONS = {
+  customer: [
+    'profile:manage_own'
+  ],
+  // Staff of a partner organisation, linked to it through User.partnerId
+  partner: [
+    'partner_portal:read',
+    'partner_portal:manage'
+  ],
+  support_agent: [
+    'customers:read',
+    'consents:read',
+    'partners:read',
+    'deliveries:read',
+    'deliveries:replay',
+    'users:read',
+    'users:unlock'
+  ],
+  compliance_officer: [
+    'customers:read',
+    'customers:read_pii',
+    'consents:read',
+    'partners:read',
+    'deliveries:read',
+    'jobs:read',
+    'audit:read',
+    'audit:verify',
+    'pending_actions:read',
+    'users:read'
+  ],
+  admin: [
+    'customers:read',
+    'customers:write',
+    'customers:delete',
+    'consents:read',
+    'consents:manage',
+    'partners:read',
+    'partners:manage',
+    'contracts:approve',
+    'pending_actions:read',
+    'deliveries:read',
+    'deliveries:replay',
+    'jobs:read',
+    'jobs:run',
+    'users:read',
+    'users:manage',
+    'users:unlock'
+  ],
+  super_admin: Object.keys(PERMISSIONS)
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles held by bank staff rather than customers or partners
+export const STAFF_ROLES = ROLES.filter(role => !['customer', 'partner'].includes(role));
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {string[]}
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Whether a user holds a permission
+ * @param {Object} user - User (or anything with a role)
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) =>
+  Boolean(user) && getRolePermissions(user.role).includes(permission);
+
+/**
+ * Whether an actor may manage another user's account (deactivate, force-logout, ...).
+ * Staff accounts need users:assign_roles, so nobody can lock out someone above them.
+ * @param {Object} actor - User performing the action
+ * @param {Object} user - Account being managed (or anything with its role)
+ * @returns {boolean}
+ */
+export const canManageAccount = (actor, user) =>
+  !STAFF_ROLES.includes(user.role) || hasPermission(actor, 'users:assign_roles');
+
+/**
+ * Throw for permission names that don't exist, so a typo in a route fails at startup
+ * @param {string[]} permissions - Permission names
+ */
+export const assertKnownPermissions = (permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+};
@@ -0,0 +1,20 @@
+import signatureService from './signatureService.js';
+
+// Rotate the bank's audit/notification signing key.
+// The retired public key stays in the keyring so older signatures remain verifiable.
+// Restart the API afterwards so it starts signing with the new key.
+try {
+  const result = signatureService.rotateKeys();
+
+  console.log('\nRESULT:');
+  console.log(JSON.stringify({
+    success: true,
+    ...result,
+    keysDir: signatureService.keysDir,
+    message: 'Signing key rotated. Restart the API server to start signing with the new key.'
+  }, null, 2));
+  process.exit(0);
+} catch (error) {
+  console.error('Key rotation failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,96 @@
+/**
+ * Base class for in-process interval jobs (consent expiry, reminders, ...).
+ * Subclasses implement execute(), which returns how many records it processed.
+ * Run status is kept per API instance for the admin jobs endpoint.
+ */
+class ScheduledJob {
+  /**
+   * @param {string} name - Job name used by the jobs endpoint
+   * @param {Function} getIntervalMs - Returns the run interval, read when the job starts
+   */
+  constructor(name, getIntervalMs) {
+    this.name = name;
+    this.getIntervalMs = getIntervalMs;
+    this.timer = null;
+    this.running = false;
+    this.status = {
+      lastRunStartedAt: null,
+      lastRunFinishedAt: null,
+      lastRunDurationMs: null,
+      lastRunProcessed: 0,
+      lastError: null,
+      totalRuns: 0,
+      totalProcessed: 0
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const intervalMs = this.getIntervalMs();
+    this.timer = setInterval(() => this.run(), intervalMs);
+    // Don't keep the process alive just for the job
+    this.timer.unref();
+    console.log(`Job ${this.name} started (running every ${intervalMs}ms)`);
+
+    // Catch up on work that piled up while the API was down
+    setImmediate(() => this.run());
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async execute() {
+    throw new Error(`Job ${this.name} does not implement execute()`);
+  }
+
+  /**
+   * Run the job once
+   * @returns {Promise<Object>} - Status after the run
+   */
+  async run() {
+    // Skip if the previous run is still going
+    if (this.running) return this.getStatus();
+    this.running = true;
+
+    const startedAt = new Date();
+    this.status.lastRunStartedAt = startedAt;
+    let processed = 0;
+
+    try {
+      processed = await this.execute();
+      this.status.lastError = null;
+    } catch (error) {
+      console.error(`Job ${this.name} error:`, error);
+      this.status.lastError = error.message;
+    } finally {
+      const finishedAt = new Date();
+      this.status.lastRunFinishedAt = finishedAt;
+      this.status.lastRunDurationMs = finishedAt - startedAt;
+      this.status.lastRunProcessed = processed;
+      this.status.totalRuns += 1;
+      this.status.totalProcessed += processed;
+      this.running = false;
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Current job status for dashboards
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      scheduled: Boolean(this.timer),
+      running: this.running,
+      intervalMs: this.getIntervalMs(),
+      ...this.status
+    };
+  }
+}
+
+export default ScheduledJob;
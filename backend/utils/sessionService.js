@@ -0,0 +1,172 @@
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import Session from '../models/sessionModel.js';
+import User from '../models/userModel.js';
+import auditService from './auditService.js';
+import tokenService from './tokenService.js';
+import twoFactorService from './twoFactorService.js';
+
+// Create an error response
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Expiry of a freshly issued refresh token, used to expire the session document with it
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Login sessions backed by refresh token families.
+ * Every refresh rotates the family to a new token; presenting an already
+ * rotated token is treated as theft and revokes the whole family.
+ */
+class SessionService {
+  /**
+   * Start a new session for a user (one per device/login)
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (device and IP details)
+   * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+   */
+  async createSession(user, req) {
+    const sessionId = uuidv4();
+    const tokenId = uuidv4();
+    const refreshToken = tokenService.issueRefreshToken(user, { sessionId, tokenId });
+
+    const session = await Session.create({
+      sessionId,
+      userId: user._id,
+      currentTokenId: tokenId,
+      deviceName: req.body?.deviceName,
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+      expiresAt: getTokenExpiry(refreshToken)
+    });
+
+    return {
+      session,
+      accessToken: user.generateAccessToken(sessionId),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} req - Express request (for audit metadata)
+   * @returns {Promise<Object>} - { user, session, accessToken, refreshToken }
+   */
+  async rotateSession(refreshToken, req) {
+    const decoded = tokenService.verifyRefreshToken(refreshToken);
+
+    const session = await Session.findOne({ sessionId: decoded.sid });
+    if (!session || session.status !== 'active' || String(session.userId) !== decoded.sub) {
+      throw createError(401, 'Session is no longer valid. Please log in again');
+    }
+
+    const user = await User.findById(decoded.sub);
+    if (!user) {
+      throw createError(401, 'The user belonging to this token no longer exists');
+    }
+    if (!user.active) {
+      await this.revokeSession(session.sessionId, 'account_deactivated');
+      throw createError(401, 'This account has been deactivated');
+    }
+
+    // Check if user changed password after the token was issued
+    if (user.changedPasswordAfter(decoded.iat)) {
+      await this.revokeSession(session.sessionId, 'password_changed');
+      throw createError(401, 'User recently changed password. Please log in again');
+    }
+
+    // 2FA became mandatory for the role after this session started
+    if (twoFactorService.isRequired(user) && !user.twoFactorEnabled) {
+      await this.revokeSession(session.sessionId, 'two_factor_required');
+      throw createError(401, 'Two-factor authentication is required for this account. Please log in again');
+    }
+
+    const tokenId = uuidv4();
+    const newRefreshToken = tokenService.issueRefreshToken(user, {
+      sessionId: session.sessionId,
+      tokenId
+    });
+
+    // Only succeeds while the presented token is still the current one, so two
+    // concurrent refreshes with the same token cannot both win
+    const rotatedSession = await Session.findOneAndUpdate(
+      { sessionId: session.sessionId, status: 'active', currentTokenId: decoded.jti },
+      {
+        currentTokenId: tokenId,
+        $inc: { rotationCount: 1 },
+        lastUsedAt: new Date(),
+        ipAddress: req.ip,
+        expiresAt: getTokenExpiry(newRefreshToken)
+      },
+      { new: true }
+    );
+
+    if (!rotatedSession) {
+      await this.handleTokenReuse(session, user, decoded, req);
+      throw createError(401, 'Refresh token has already been used. All devices in this session were logged out');
+    }
+
+    return {
+      user,
+      session: rotatedSession,
+      accessToken: user.generateAccessToken(session.sessionId),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  // A spent token came back: someone else holds a copy, so kill the whole family
+  async handleTokenReuse(session, user, decoded, req) {
+    await this.revokeSession(session.sessionId, 'refresh_token_reuse');
+
+    await auditService.logEvent({
+      eventType: 'refresh_token_reuse_detected',
+      actorType: user.role,
+      actorId: user._id,
+      actionDetails: {
+        sessionId: session.sessionId,
+        reusedTokenId: decoded.jti,
+        rotationCount: session.rotationCount
+      },
+      metadata: { ip: req.ip, userAgent: req.get('user-agent') }
+    }).catch(err => console.error('Error logging refresh token reuse:', err));
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Why the session was revoked
+   * @returns {Promise<Object|null>} - The revoked session
+   */
+  async revokeSession(sessionId, reason) {
+    return Session.findOneAndUpdate(
+      { sessionId, status: 'active' },
+      { status: 'revoked', revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Why the sessions were revoked
+   * @param {Object} options - Revocation options
+   * @param {string} options.exceptSessionId - Session to leave active (e.g. the caller's own)
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, { exceptSessionId } = {}) {
+    const filter = { userId, status: 'active' };
+    if (exceptSessionId) filter.sessionId = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(
+      filter,
+      { status: 'revoked', revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default new SessionService();
@@ -1,29 +1,176 @@
 import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const KEYRING_FILE = 'keyring.json';
+
+// backend/keys/signing, wherever the process was started from
+const DEFAULT_KEYS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'keys', 'signing');
 
 class SignatureService {
   constructor() {
-    // In production, these would be loaded from secure storage
+    // kid -> { kid, publicKey, privateKey, createdAt, retiredAt, source }
+    this.keys = new Map();
+    this.activeKid = null;
+    this.keysDir = process.env.SIGNATURE_KEYS_DIR
+      ? path.resolve(process.env.SIGNATURE_KEYS_DIR)
+      : DEFAULT_KEYS_DIR;
+
     try {
-      // Try to load keys if available
-      this.privateKey = null;
-      this.publicKey = null;
-      
-      // This is a placeholder - in production these keys would be properly managed
-      // Create keys for development if they don't exist yet
-      this.generateKeysIfNeeded();
+      this.loadKeys();
     } catch (error) {
       console.error('Error initializing signature service:', error);
     }
   }
 
+  // Active private/public key, kept for callers that predate key IDs
+  get privateKey() {
+    return this.keys.get(this.activeKid)?.privateKey || null;
+  }
+
+  get publicKey() {
+    return this.keys.get(this.activeKid)?.publicKey || null;
+  }
+
+  loadKeys() {
+    let keyringChanged = false;
+
+    // 1) Keys managed on disk: the active key plus retired public keys
+    const keyring = this.readKeyring();
+    for (const entry of keyring.keys) {
+      const publicKeyPath = path.join(this.keysDir, `${entry.kid}.public.pem`);
+      const privateKeyPath = path.join(this.keysDir, `${entry.kid}.private.pem`);
+      if (!fs.existsSync(publicKeyPath)) {
+        console.warn(`Signing key ${entry.kid} listed in keyring but public key file is missing`);
+        continue;
+      }
+
+      this.keys.set(entry.kid, {
+        kid: entry.kid,
+        publicKey: fs.readFileSync(publicKeyPath, 'utf8'),
+        privateKey: fs.existsSync(privateKeyPath) ? fs.readFileSync(privateKeyPath, 'utf8') : null,
+        createdAt: entry.createdAt ? new Date(entry.createdAt) : null,
+        retiredAt: entry.retiredAt ? new Date(entry.retiredAt) : null,
+        source: 'keyring'
+      });
+    }
+    if (keyring.activeKid && this.keys.get(keyring.activeKid)?.privateKey) {
+      this.activeKid = keyring.activeKid;
+    }
+
+    // 2) A private key supplied through the environment takes over as the active key
+    const envPrivateKey = this.readEnvPrivateKey();
+    if (envPrivateKey) {
+      const publicKey = crypto.createPublicKey(envPrivateKey).export({ type: 'spki', format: 'pem' });
+      const kid = process.env.SIGNATURE_KEY_ID || this.computeKeyId(publicKey);
+      const existing = this.keys.get(kid);
+
+      this.keys.set(kid, {
+        kid,
+        publicKey,
+        privateKey: envPrivateKey,
+        createdAt: existing?.createdAt || new Date(),
+        retiredAt: null,
+        source: 'environment'
+      });
+      this.activeKid = kid;
+      keyringChanged = !existing;
+    }
+
+    // Anything that is not the active key can only be used for verification,
+    // from now on: partners may still hold callbacks it signed
+    for (const key of this.keys.values()) {
+      if (key.kid !== this.activeKid && !key.retiredAt) {
+        key.retiredAt = new Date();
+        keyringChanged = true;
+      }
+    }
+
+    // Record new environment keys and retirements so older signatures stay verifiable
+    // after the environment key is rotated
+    if (keyringChanged) {
+      try {
+        this.persistEnvironmentKeys();
+        this.writeKeyring();
+      } catch (error) {
+        console.warn(`Could not update the signing keyring in ${this.keysDir}:`, error.message);
+      }
+    }
+
+    if (!this.activeKid) {
+      this.generateKeysIfNeeded();
+    }
+
+    console.log(`Signature service ready with active key ${this.activeKid} (${this.keys.size} key(s) loaded)`);
+  }
+
+  readKeyring() {
+    const keyringPath = path.join(this.keysDir, KEYRING_FILE);
+    if (!fs.existsSync(keyringPath)) {
+      return { activeKid: null, keys: [] };
+    }
+
+    const keyring = JSON.parse(fs.readFileSync(keyringPath, 'utf8'));
+    return { activeKid: keyring.activeKid || null, keys: keyring.keys || [] };
+  }
+
+  // Write the public half of environment keys; their private keys never touch the keyring
+  persistEnvironmentKeys() {
+    fs.mkdirSync(this.keysDir, { recursive: true });
+    for (const key of this.keys.values()) {
+      const publicKeyPath = path.join(this.keysDir, `${key.kid}.public.pem`);
+      if (key.source === 'environment' && !fs.existsSync(publicKeyPath)) {
+        fs.writeFileSync(publicKeyPath, key.publicKey);
+      }
+    }
+  }
+
+  writeKeyring() {
+    const keys = [...this.keys.values()]
+      .map(key => ({
+        kid: key.kid,
+        createdAt: key.createdAt,
+        retiredAt: key.retiredAt
+      }));
+
+    fs.writeFileSync(
+      path.join(this.keysDir, KEYRING_FILE),
+      JSON.stringify({ activeKid: this.activeKid, keys }, null, 2)
+    );
+  }
+
+  readEnvPrivateKey() {
+    if (process.env.SIGNATURE_PRIVATE_KEY_BASE64) {
+      return Buffer.from(process.env.SIGNATURE_PRIVATE_KEY_BASE64, 'base64').toString('utf8');
+    }
+
+    if (process.env.SIGNATURE_PRIVATE_KEY_PATH) {
+      const keyPath = path.resolve(process.env.SIGNATURE_PRIVATE_KEY_PATH);
+      if (!fs.existsSync(keyPath)) {
+        throw new Error(`Signing key not found at SIGNATURE_PRIVATE_KEY_PATH: ${keyPath}`);
+      }
+      return fs.readFileSync(keyPath, 'utf8');
+    }
+
+    return null;
+  }
+
   generateKeysIfNeeded() {
-    // This is just for development
-    // In production, keys would be managed securely (e.g., via AWS KMS, HashiCorp Vault)
-    // and loaded from there
-    console.log('Using dynamically generated keys for development - NOT FOR PRODUCTION');
-    
+    // Production keys must be provisioned (environment or keyring), never created on the fly
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No bank signing key configured. Set SIGNATURE_PRIVATE_KEY_PATH or provision the keyring.');
+    }
+
+    console.log(`No signing key found - generating a development key pair in ${this.keysDir}`);
+    this.addKeyringKey();
+  }
+
+  // Generate a key pair, persist it to the keyring directory and make it the active key
+  addKeyringKey() {
     const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
       modulusLength: 2048,
       publicKeyEncoding: {
@@ -35,37 +182,109 @@ class SignatureService {
         format: 'pem'
       }
     });
-    
-    this.privateKey = privateKey;
-    this.publicKey = publicKey;
+    const kid = this.computeKeyId(publicKey);
+
+    fs.mkdirSync(this.keysDir, { recursive: true });
+    fs.writeFileSync(path.join(this.keysDir, `${kid}.private.pem`), privateKey, { mode: 0o600 });
+    fs.writeFileSync(path.join(this.keysDir, `${kid}.public.pem`), publicKey);
+
+    this.keys.set(kid, {
+      kid,
+      publicKey,
+      privateKey,
+      createdAt: new Date(),
+      retiredAt: null,
+      source: 'keyring'
+    });
+    this.activeKid = kid;
+    this.writeKeyring();
+
+    return kid;
   }
 
+  /**
+   * Replace the active signing key with a freshly generated one.
+   * The previous key is retired: its private key is deleted and its public key
+   * is kept so signatures made before the rotation still verify.
+   * @returns {Object} - The previous and new key IDs
+   */
+  rotateKeys() {
+    const previousKey = this.keys.get(this.activeKid);
+    if (previousKey?.source === 'environment') {
+      throw new Error('Active signing key is supplied via environment and must be rotated there');
+    }
+
+    const kid = this.addKeyringKey();
+
+    if (previousKey) {
+      previousKey.retiredAt = new Date();
+      previousKey.privateKey = null;
+      fs.rmSync(path.join(this.keysDir, `${previousKey.kid}.private.pem`), { force: true });
+      this.writeKeyring();
+    }
+
+    return { previousKid: previousKey?.kid || null, activeKid: kid };
+  }
+
+  // RFC 7638 JWK thumbprint of the public key
+  computeKeyId(publicKey) {
+    const { e, kty, n } = crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ e, kty, n }))
+      .digest('base64url');
+  }
+
+  // RS256: RSASSA-PKCS1-v1_5 with SHA-256 over the data itself, as published in the JWKS
   signData(data) {
     if (!this.privateKey) {
       throw new Error('Private key not available');
     }
-    
+
     const dataString = typeof data === 'string' ? data : JSON.stringify(data);
-    const hash = crypto.createHash('sha256').update(dataString).digest();
-    const signature = crypto.sign('rsa-sha256', hash, this.privateKey);
-    
+    const signature = crypto.sign('sha256', Buffer.from(dataString), this.privateKey);
+
     return signature.toString('base64');
   }
 
   verifySignature(data, signature, publicKey) {
     const dataString = typeof data === 'string' ? data : JSON.stringify(data);
-    const hash = crypto.createHash('sha256').update(dataString).digest();
-    
+
     return crypto.verify(
-      'rsa-sha256',
-      hash,
+      'sha256',
+      Buffer.from(dataString),
       publicKey || this.publicKey,
       Buffer.from(signature, 'base64')
     );
   }
 
-  getPublicKey() {
-    return this.publicKey;
+  // Verify a bank signature with the key it was made with, including retired keys
+  verifyWithKeyId(data, signature, kid = this.activeKid) {
+    const key = this.keys.get(kid);
+    if (!key) return false;
+
+    return this.verifySignature(data, signature, key.publicKey);
+  }
+
+  getActiveKeyId() {
+    return this.activeKid;
+  }
+
+  getPublicKey(kid = this.activeKid) {
+    return this.keys.get(kid)?.publicKey || null;
+  }
+
+  // Public halves of every known key, newest first
+  getVerificationKeys() {
+    return [...this.keys.values()]
+      .map(({ kid, publicKey, createdAt, retiredAt }) => ({
+        kid,
+        publicKey,
+        createdAt,
+        retiredAt,
+        active: kid === this.activeKid
+      }))
+      .sort((a, b) => (b.active - a.active) || ((b.retiredAt || 0) - (a.retiredAt || 0)));
   }
 }
 
@@ -0,0 +1,44 @@
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { TransportRegistry } from './messageTransports.js';
+
+dotenv.config();
+
+/**
+ * Outgoing text messages. Real gateways are added with
+ * `smsService.registerTransport()` and selected with SMS_TRANSPORT;
+ * `console` and `file` (SMS_OUTBOX_DIR) are for development only.
+ */
+class SmsService extends TransportRegistry {
+  constructor() {
+    super({
+      label: 'sms',
+      transportEnv: 'SMS_TRANSPORT',
+      outboxEnv: 'SMS_OUTBOX_DIR',
+      defaultOutbox: 'sms-outbox',
+      formatForConsole: message => `To: ${message.to}\n${message.text}`
+    });
+  }
+
+  /**
+   * Send a text message through the configured transport
+   * @param {Object} options - Message options
+   * @param {string} options.to - Recipient phone number
+   * @param {string} options.text - Message body
+   * @returns {Promise<Object>} - The message that was sent
+   */
+  async sendSms({ to, text }) {
+    const message = {
+      messageId: uuidv4(),
+      from: process.env.SMS_FROM || 'SecureShare',
+      to,
+      text,
+      sentAt: new Date().toISOString()
+    };
+
+    await this.send(message);
+    return message;
+  }
+}
+
+export default new SmsService();
@@ -0,0 +1,190 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Create an error response
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Parse a secret set: the current secret plus optional previous ones
+ * ("kid:secret,kid:secret") that are still accepted for verification after a rotation.
+ */
+const loadSecrets = (currentSecret, currentKid, previousSecrets) => {
+  const secrets = new Map();
+
+  for (const entry of (previousSecrets || '').split(',').filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      secrets.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+    }
+  }
+  if (currentSecret) secrets.set(currentKid, currentSecret);
+
+  return secrets;
+};
+
+/**
+ * Issues and verifies every JWT the API hands out, so signing and checking
+ * always agree on secret, claims, issuer, audience and clock skew.
+ */
+class TokenService {
+  constructor() {
+    this.issuer = process.env.JWT_ISSUER || 'secureshare-bank-api';
+    this.audience = process.env.JWT_AUDIENCE || 'secureshare-clients';
+    this.clockTolerance = parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS || '30');
+
+    this.access = {
+      kid: process.env.ACCESS_TOKEN_KID || 'access-v1',
+      secrets: loadSecrets(
+        process.env.ACCESS_TOKEN_SECRET || process.env.JWT_SECRET,
+        process.env.ACCESS_TOKEN_KID || 'access-v1',
+        process.env.ACCESS_TOKEN_PREVIOUS_SECRETS
+      ),
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '15m'
+    };
+
+    this.refresh = {
+      kid: process.env.REFRESH_TOKEN_KID || 'refresh-v1',
+      secrets: loadSecrets(
+        process.env.REFRESH_TOKEN_SECRET || process.env.JWT_REFRESH_SECRET,
+        process.env.REFRESH_TOKEN_KID || 'refresh-v1',
+        process.env.REFRESH_TOKEN_PREVIOUS_SECRETS
+      ),
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d'
+    };
+
+    // Short-lived token between the password and two-factor login steps.
+    // Shares the access secrets; the typ claim keeps the two from being swapped.
+    this.challenge = {
+      kid: this.access.kid,
+      secrets: this.access.secrets,
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m'
+    };
+  }
+
+  sign(type, payload, subject, options = {}) {
+    const config = this[type];
+    const secret = config.secrets.get(config.kid);
+    if (!secret) {
+      throw new Error(`No ${type} token secret configured`);
+    }
+
+    return jwt.sign({ ...payload, typ: type }, secret, {
+      algorithm: 'HS256',
+      keyid: config.kid,
+      issuer: this.issuer,
+      audience: this.audience,
+      subject: String(subject),
+      expiresIn: config.expiresIn,
+      ...options
+    });
+  }
+
+  verify(type, token) {
+    const config = this[type];
+
+    try {
+      // Pick the secret named by the token's kid so rotated secrets keep working
+      const decodedHeader = jwt.decode(token, { complete: true });
+      const secret = config.secrets.get(decodedHeader?.header?.kid);
+      if (!secret) {
+        throw createError(401, 'Invalid token');
+      }
+
+      const decoded = jwt.verify(token, secret, {
+        algorithms: ['HS256'],
+        issuer: this.issuer,
+        audience: this.audience,
+        clockTolerance: this.clockTolerance
+      });
+
+      if (decoded.typ !== type) {
+        throw createError(401, 'Invalid token');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw createError(
+        401,
+        error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token'
+      );
+    }
+  }
+
+  /**
+   * Issue an access token for a user
+   * @param {Object} user - User document
+   * @param {string} sessionId - Session the token belongs to
+   * @returns {string} - Signed JWT
+   */
+  issueAccessToken(user, sessionId) {
+    return this.sign(
+      'access',
+      {
+        sid: sessionId,
+        email: user.email,
+        username: user.username,
+        role: user.role,
+        partnerId: user.partnerId,
+        customerId: user.customerId
+      },
+      user._id
+    );
+  }
+
+  /**
+   * Issue a refresh token for a user
+   * @param {Object} user - User document
+   * @param {Object} options - Token family details
+   * @param {string} options.sessionId - Session (token family) the token belongs to
+   * @param {string} options.tokenId - Unique ID of this token within the family (jti)
+   * @returns {string} - Signed JWT
+   */
+  issueRefreshToken(user, { sessionId, tokenId }) {
+    return this.sign('refresh', { sid: sessionId }, user._id, { jwtid: tokenId });
+  }
+
+  /**
+   * Issue a two-factor challenge token after a correct password
+   * @param {Object} user - User document
+   * @returns {string} - Signed JWT
+   */
+  issueChallengeToken(user) {
+    return this.sign('challenge', {}, user._id);
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT from the Authorization header
+   * @returns {Object} - Decoded claims; the user ID is in `sub`
+   */
+  verifyAccessToken(token) {
+    return this.verify('access', token);
+  }
+
+  /**
+   * Verify a refresh token
+   * @param {string} token - Refresh JWT
+   * @returns {Object} - Decoded claims; user in `sub`, session in `sid`, token ID in `jti`
+   */
+  verifyRefreshToken(token) {
+    return this.verify('refresh', token);
+  }
+
+  /**
+   * Verify a two-factor challenge token
+   * @param {string} token - Challenge JWT from the login response
+   * @returns {Object} - Decoded claims; the user ID is in `sub`
+   */
+  verifyChallengeToken(token) {
+    return this.verify('challenge', token);
+  }
+}
+
+export default new TokenService();
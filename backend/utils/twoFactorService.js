@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import User from '../models/userModel.js';
+import encryptionService from './encryptionService.js';
+import { STAFF_ROLES } from './permissions.js';
+
+dotenv.config();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// RFC 4648 base32 without padding, the format authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Backup codes are compared case- and dash-insensitively
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/-/g, '').toLowerCase()).digest('hex');
+
+/**
+ * TOTP (RFC 6238) two-factor authentication: enrolment, code and backup code
+ * verification, and the per-role requirement policy.
+ */
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'SecureShare';
+    // Accept codes from this many 30s steps either side of now (clock drift)
+    this.window = parseInt(process.env.TWO_FACTOR_WINDOW || '1');
+    this.backupCodeCount = parseInt(process.env.TWO_FACTOR_BACKUP_CODE_COUNT || '10');
+    // Every staff role by default
+    this.requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? STAFF_ROLES.join(','))
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether a user's role must use two-factor authentication
+   * @param {Object} user - User document
+   * @returns {boolean}
+   */
+  isRequired(user) {
+    return this.requiredRoles.includes(user.role);
+  }
+
+  // HOTP (RFC 4226) code for one time step
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Find the time step a code belongs to
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @returns {number|null} - Matching time step, or null if the code is wrong
+   */
+  matchCode(secret, code) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = this.getCurrentStep();
+    for (let step = currentStep - this.window; step <= currentStep + this.window; step++) {
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// provisioning URI that authenticator apps scan as a QR code
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Account label (the user's email)
+   * @returns {string}
+   */
+  getProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  async encryptSecret(secret) {
+    const { encryptedValue, iv, authTag } = await encryptionService.encryptField(secret);
+    return JSON.stringify({ encryptedValue, iv, authTag });
+  }
+
+  async decryptSecret(encryptedSecret) {
+    return encryptionService.decryptField(JSON.parse(encryptedSecret));
+  }
+
+  generateBackupCodes() {
+    const codes = Array.from({ length: this.backupCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashBackupCode) };
+  }
+
+  /**
+   * Start (or restart) enrolment with a new secret; 2FA stays off until confirmed
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - { secret, otpauthUrl }
+   */
+  async startEnrolment(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    user.twoFactorSecret = await this.encryptSecret(secret);
+    user.twoFactorEnabled = false;
+    await user.save({ validateBeforeSave: false });
+
+    return { secret, otpauthUrl: this.getProvisioningUri(secret, user.email) };
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app
+   * @param {Object} user - User document selected with +twoFactorSecret
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<string[]|null>} - Plain backup codes (shown once), or null if the code is wrong
+   */
+  async completeEnrolment(user, code) {
+    if (!user.twoFactorSecret) return null;
+
+    const step = this.matchCode(await this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) return null;
+
+    const { codes, hashes } = this.generateBackupCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = Date.now();
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code or a backup code for an enrolled user.
+   * Each TOTP step and each backup code is accepted only once.
+   * @param {Object} user - User document selected with +twoFactorSecret
+   * @param {Object} credentials - { code } or { backupCode }
+   * @returns {Promise<string|null>} - 'totp' or 'backup_code' on success, null otherwise
+   */
+  async verify(user, { code, backupCode }) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) return null;
+
+    if (backupCode) {
+      // Pulling the hash atomically makes the code single-use under concurrent requests
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorBackupCodes: hashBackupCode(backupCode) },
+        { $pull: { twoFactorBackupCodes: hashBackupCode(backupCode) } }
+      );
+      return result.modifiedCount === 1 ? 'backup_code' : null;
+    }
+
+    const step = this.matchCode(await this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) return null;
+
+    // Reject a code that was already used (replay within its validity window)
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastUsedStep: { $lt: step } },
+          { twoFactorLastUsedStep: { $exists: false } }
+        ]
+      },
+      { twoFactorLastUsedStep: step }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  /**
+   * Replace a user's backup codes
+   * @param {Object} user - User document
+   * @returns {Promise<string[]>} - Plain backup codes (shown once)
+   */
+  async regenerateBackupCodes(user) {
+    const { codes, hashes } = this.generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+    return codes;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret
+   * @param {Object} user - User document
+   */
+  async disable(user) {
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,277 @@
+import fetch from 'node-fetch';
+import WebhookDelivery from '../models/webhookDeliveryModel.js';
+import Partner from '../models/partnerModel.js';
+import auditService from './auditService.js';
+import signatureService from './signatureService.js';
+
+const getConfig = () => ({
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || String(30 * 1000)),
+  retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || String(6 * 60 * 60 * 1000)),
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000'),
+  batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '20'),
+  attemptLogSize: parseInt(process.env.WEBHOOK_ATTEMPT_LOG_SIZE || '50')
+});
+
+/**
+ * Build the detached signature headers for a callback body.
+ * The bank signs `${timestamp}.${body}` so partners can reject replays of an old body.
+ * @param {string} body - Exact request body that will be sent
+ * @returns {Object} - Signature headers
+ */
+const signCallback = (body) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return {
+    'X-Bank-Signature': signatureService.signData(`${timestamp}.${body}`),
+    'X-Bank-Signature-Timestamp': timestamp,
+    'X-Bank-Key-Id': signatureService.getActiveKeyId()
+  };
+};
+
+/**
+ * Durable outbox for partner callbacks.
+ * Notifications are stored first and delivered by a polling worker that retries
+ * with exponential backoff and dead-letters a delivery after maxAttempts.
+ */
+class WebhookDeliveryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Store a callback for delivery and wake the worker
+   * @param {Object} options - Delivery options
+   * @param {string} options.partnerId - Partner ID
+   * @param {string} options.callbackUrl - Partner's callback URL
+   * @param {string} options.eventType - Type of event (e.g., 'consent_created')
+   * @param {Object} options.headers - Request headers (signature headers are added per attempt)
+   * @param {string} options.body - Serialized request body
+   * @param {Object} options.user - User that caused the notification (for audit logs)
+   * @returns {Promise<Object>} - The stored delivery
+   */
+  async enqueue({ partnerId, callbackUrl, eventType, headers, body, user }) {
+    const delivery = await WebhookDelivery.create({
+      partnerId,
+      callbackUrl,
+      eventType,
+      headers,
+      body,
+      maxAttempts: getConfig().maxAttempts,
+      actorType: user?.role || 'system',
+      actorId: String(user?._id || 'system')
+    });
+
+    // Attempt the first delivery right away instead of waiting for the next poll
+    setImmediate(() => this.processDue());
+
+    return delivery;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const { pollIntervalMs } = getConfig();
+    this.timer = setInterval(() => this.processDue(), pollIntervalMs);
+    // Don't keep the process alive just for the poller
+    this.timer.unref();
+    console.log(`Webhook delivery worker started (polling every ${pollIntervalMs}ms)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Claim one due delivery; the lock lets several API instances share the outbox
+  async claimNext() {
+    const now = new Date();
+    const { timeoutMs } = getConfig();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        status: 'delivering',
+        lockedUntil: new Date(now.getTime() + timeoutMs * 2),
+        updatedAt: now
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  async processDue() {
+    // Skip if the previous run is still going
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const { batchSize } = getConfig();
+      for (let i = 0; i < batchSize; i++) {
+        const delivery = await this.claimNext();
+        if (!delivery) break;
+        await this.attemptDelivery(delivery);
+      }
+    } catch (error) {
+      console.error('Webhook delivery worker error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getRetryDelay(attempts) {
+    const { retryBaseMs, retryMaxMs } = getConfig();
+    const delay = Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+    // Up to 20% jitter so retries from an outage don't all land at once
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  async attemptDelivery(delivery) {
+    const { timeoutMs, attemptLogSize } = getConfig();
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    let response = null;
+    let responseBody = '';
+    let error = null;
+    const startedAt = Date.now();
+
+    try {
+      console.log(`Delivering ${delivery.eventType} to ${delivery.callbackUrl} (attempt ${delivery.attempts}/${delivery.maxAttempts})`);
+
+      response = await fetch(delivery.callbackUrl, {
+        method: 'POST',
+        headers: {
+          ...Object.fromEntries(delivery.headers || []),
+          'X-Delivery-Id': delivery.deliveryId,
+          ...signCallback(delivery.body)
+        },
+        body: delivery.body,
+        signal: controller.signal
+      });
+      responseBody = await response.text().catch(() => '');
+      console.log(`Delivery ${delivery.deliveryId} response status: ${response.status}`);
+    } catch (fetchError) {
+      error = fetchError.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : fetchError.message;
+      console.error(`Error delivering ${delivery.deliveryId} to partner ${delivery.partnerId}:`, error);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const latencyMs = Date.now() - startedAt;
+
+    delivery.lockedUntil = null;
+    delivery.lastResponseStatus = response?.status;
+    delivery.lastLatencyMs = latencyMs;
+    delivery.attemptLog.push({
+      attempt: delivery.attempts,
+      attemptedAt: delivery.lastAttemptAt,
+      responseStatus: response?.status,
+      latencyMs,
+      error: error || (response && !response.ok ? `Partner responded with status ${response.status}` : undefined)
+    });
+    // Keep the log bounded for deliveries that are replayed many times
+    if (delivery.attemptLog.length > attemptLogSize) {
+      delivery.attemptLog.splice(0, delivery.attemptLog.length - attemptLogSize);
+    }
+
+    if (response?.ok) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = null;
+    } else {
+      delivery.lastError = error || `Partner responded with status ${response.status}`;
+
+      if (delivery.attempts >= delivery.maxAttempts) {
+        delivery.status = 'dead_letter';
+        delivery.deadLetteredAt = new Date();
+      } else {
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attempts));
+      }
+    }
+
+    await delivery.save();
+
+    const eventType = {
+      delivered: 'partner_notification_sent',
+      pending: 'partner_notification_failed',
+      dead_letter: 'partner_notification_dead_lettered'
+    }[delivery.status];
+
+    await auditService.logEvent({
+      eventType,
+      actorType: delivery.actorType,
+      actorId: delivery.actorId,
+      partnerId: delivery.partnerId,
+      actionDetails: {
+        deliveryId: delivery.deliveryId,
+        eventType: delivery.eventType,
+        callbackUrl: delivery.callbackUrl,
+        attempt: delivery.attempts,
+        success: delivery.status === 'delivered',
+        responseStatus: response?.status,
+        latencyMs,
+        error: delivery.lastError,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : undefined
+      },
+      metadata: {
+        responseBody: responseBody.slice(0, 1000) // Truncate if too long
+      }
+    }).catch(err => console.error('Error logging notification delivery:', err));
+
+    return delivery;
+  }
+
+  /**
+   * Put a delivered or dead-lettered callback back on the queue
+   * @param {Object} delivery - Delivery document
+   * @param {Object} user - User requesting the replay (for audit logs)
+   * @returns {Promise<Object>} - The re-queued delivery
+   */
+  async replay(delivery, user) {
+    if (!['delivered', 'dead_letter'].includes(delivery.status)) {
+      const error = new Error(`Delivery is ${delivery.status} and cannot be replayed yet`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Pick up a callback URL the partner may have fixed since the original attempts
+    const partner = await Partner.findOne({ partnerId: delivery.partnerId }).select('callbackUrl');
+    if (partner?.callbackUrl) delivery.callbackUrl = partner.callbackUrl;
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.maxAttempts = getConfig().maxAttempts;
+    delivery.nextAttemptAt = new Date();
+    delivery.deadLetteredAt = null;
+    delivery.replayCount += 1;
+    await delivery.save();
+
+    await auditService.logEvent({
+      eventType: 'partner_notification_replayed',
+      actorType: user.role,
+      actorId: user._id,
+      partnerId: delivery.partnerId,
+      actionDetails: {
+        deliveryId: delivery.deliveryId,
+        eventType: delivery.eventType,
+        replayCount: delivery.replayCount
+      }
+    });
+
+    setImmediate(() => this.processDue());
+
+    return delivery;
+  }
+}
+
+export default new WebhookDeliveryService();
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+class BankSignatureService {
+  constructor() {
+    // kid -> KeyObject, filled from the bank's JWKS endpoint
+    this.keys = new Map();
+    this.lastFetchedAt = 0;
+  }
+
+  get jwksUrl() {
+    if (process.env.BANK_JWKS_URL) return process.env.BANK_JWKS_URL;
+
+    // Derive from the API URL: http://host:5000/api/v1 -> http://host:5000/.well-known/jwks.json
+    const bankApiUrl = process.env.BANK_API_URL || 'http://localhost:5000/api/v1';
+    return `${new URL(bankApiUrl).origin}/.well-known/jwks.json`;
+  }
+
+  // Maximum age of a signed callback before it is treated as a replay
+  get toleranceSeconds() {
+    return parseInt(process.env.BANK_SIGNATURE_TOLERANCE_SECONDS || '300');
+  }
+
+  /**
+   * Download the bank's signing keys
+   * @returns {Promise<void>}
+   */
+  async refreshKeys() {
+    console.log(`🔑 Fetching bank signing keys from ${this.jwksUrl}`);
+    const response = await axios.get(this.jwksUrl, { timeout: 5000 });
+
+    const keys = new Map();
+    for (const jwk of response.data.keys || []) {
+      if (jwk.kty !== 'RSA' || !jwk.kid) continue;
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+
+    this.keys = keys;
+    this.lastFetchedAt = Date.now();
+    console.log(`✅ Loaded ${keys.size} bank signing key(s)`);
+  }
+
+  /**
+   * Look up a bank key, refetching the JWKS once when the kid is unknown (e.g. after a rotation)
+   * @param {string} kid - Key ID from the X-Bank-Key-Id header
+   * @returns {Promise<crypto.KeyObject|null>} - Bank public key
+   */
+  async getKey(kid) {
+    // Throttle refetches so unknown kids cannot be used to hammer the bank
+    if (!this.keys.has(kid) && Date.now() - this.lastFetchedAt > 30 * 1000) {
+      await this.refreshKeys();
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Verify the detached signature the bank puts on every callback
+   * @param {Object} headers - Incoming request headers
+   * @param {string} rawBody - Exact request body as received
+   * @returns {Promise<Object>} - { valid, reason, kid }
+   */
+  async verifyCallback(headers, rawBody) {
+    const signature = headers['x-bank-signature'];
+    const timestamp = headers['x-bank-signature-timestamp'];
+    const kid = headers['x-bank-key-id'];
+
+    if (!signature || !timestamp || !kid) {
+      return { valid: false, reason: 'Missing bank signature headers' };
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+    if (Number.isNaN(age) || age > this.toleranceSeconds) {
+      return { valid: false, reason: 'Stale or invalid signature timestamp', kid };
+    }
+
+    const publicKey = await this.getKey(kid);
+    if (!publicKey) {
+      return { valid: false, reason: `Unknown bank signing key: ${kid}`, kid };
+    }
+
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(`${timestamp}.${rawBody}`),
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+
+    return { valid, reason: valid ? null : 'Invalid bank signature', kid };
+  }
+
+  /**
+   * Express middleware rejecting callbacks that are unsigned, stale or not signed by the bank
+   */
+  requireBankSignature = async (req, res, next) => {
+    try {
+      const result = await this.verifyCallback(req.headers, req.rawBody || '');
+      if (!result.valid) {
+        console.warn(`🚫 Rejected bank callback: ${result.reason}`);
+        return res.status(401).json({
+          status: 'error',
+          message: result.reason
+        });
+      }
+
+      console.log(`🔏 Bank signature verified (kid: ${result.kid})`);
+      req.bankKeyId = result.kid;
+      next();
+    } catch (error) {
+      console.error('Bank signature verification error:', error.message);
+      res.status(503).json({
+        status: 'error',
+        message: 'Unable to verify bank signature',
+        error: error.message
+      });
+    }
+  };
+}
+
+export default new BankSignatureService();
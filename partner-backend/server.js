@@ -5,6 +5,7 @@ import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import decryptionService from './decryptionService.js';
+import bankSignatureService from './bankSignatureService.js';
 
 // Load environment variables
 dotenv.config();
@@ -14,7 +15,13 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact body bytes - bank signatures are computed over them
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Root endpoint
@@ -124,7 +131,7 @@ app.post('/generate-keys', (req, res) => {
 });
 
 // Receive encrypted data from bank (main data endpoint)
-app.post('/receive-data', (req, res) => {
+app.post('/receive-data', bankSignatureService.requireBankSignature, (req, res) => {
   console.log('\n� Data received from bank at', new Date().toISOString());
   console.log('📋 Request data:', JSON.stringify(req.body, null, 2));
   
@@ -267,27 +274,21 @@ app.post('/receive-data', (req, res) => {
 });
 
 // Webhook endpoint to receive notifications from bank
-app.post('/webhook', (req, res) => {
+app.post('/webhook', bankSignatureService.requireBankSignature, (req, res) => {
   console.log('\n🔔 Received webhook notification from bank:');
   console.log('Headers:', req.headers);
   console.log('Body:', JSON.stringify(req.body, null, 2));
   
   try {
-    const { event, partnerId, status, message, signature, bankPublicKey } = req.body;
+    const { eventType, partnerId, data = {} } = req.body;
     
     // Log the notification details
     console.log(`\n📋 Notification Details:`);
-    console.log(`- Event: ${event}`);
+    console.log(`- Event: ${eventType || data.event}`);
     console.log(`- Partner ID: ${partnerId}`);
-    console.log(`- Status: ${status}`);
-    console.log(`- Message: ${message}`);
-    
-    // Verify signature if provided
-    if (signature && bankPublicKey) {
-      const dataToVerify = JSON.stringify({ event, partnerId, status, message });
-      const isValid = decryptionService.verifySignature(dataToVerify, signature, bankPublicKey);
-      console.log(`- Signature Valid: ${isValid}`);
-    }
+    console.log(`- Status: ${data.status}`);
+    console.log(`- Message: ${data.message}`);
+    console.log(`- Signed with bank key: ${req.bankKeyId}`);
     
     res.json({
       status: 'success',